@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "game_scores" ADD COLUMN     "clientId" VARCHAR(64);
+
+-- CreateIndex
+CREATE INDEX "game_scores_userId_syncedAt_idx" ON "game_scores"("userId", "syncedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_scores_userId_clientId_key" ON "game_scores"("userId", "clientId");
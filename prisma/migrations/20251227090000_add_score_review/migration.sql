@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "ScoreStatus" AS ENUM ('approved', 'flagged', 'rejected');
+
+-- AlterTable
+ALTER TABLE "game_scores" ADD COLUMN     "flagReason" VARCHAR(255),
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedBy" TEXT,
+ADD COLUMN     "status" "ScoreStatus" NOT NULL DEFAULT 'approved';
+
+-- CreateIndex
+CREATE INDEX "game_scores_status_createdAt_idx" ON "game_scores"("status", "createdAt");
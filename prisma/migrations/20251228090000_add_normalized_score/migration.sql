@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "game_scores" ADD COLUMN     "normalizedScore" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "game_scores_status_userId_normalizedScore_idx" ON "game_scores"("status", "userId", "normalizedScore");
+
+-- Existing rows are backfilled by: npm run scores:backfill-normalized
@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "LeaderboardPeriod" AS ENUM ('day', 'week', 'month');
+
+-- CreateTable
+CREATE TABLE "leaderboard_snapshots" (
+    "id" TEXT NOT NULL,
+    "period" "LeaderboardPeriod" NOT NULL,
+    "periodKey" VARCHAR(20) NOT NULL,
+    "timeZone" VARCHAR(64) NOT NULL,
+    "gameType" VARCHAR(20) NOT NULL,
+    "difficulty" VARCHAR(20) NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "entries" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "leaderboard_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "game_scores_gameType_createdAt_idx" ON "game_scores"("gameType", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leaderboard_snapshots_period_periodKey_timeZone_gameType_di_key" ON "leaderboard_snapshots"("period", "periodKey", "timeZone", "gameType", "difficulty");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "user_stats" (
+    "userId" TEXT NOT NULL,
+    "friendsCount" INTEGER NOT NULL DEFAULT 0,
+    "postsCount" INTEGER NOT NULL DEFAULT 0,
+    "likesReceived" INTEGER NOT NULL DEFAULT 0,
+    "gameHighScores" JSONB NOT NULL DEFAULT '{}',
+    "difficultyCounts" JSONB NOT NULL DEFAULT '{}',
+    "winStreaks" JSONB NOT NULL DEFAULT '{}',
+    "dayStreakCurrent" INTEGER NOT NULL DEFAULT 0,
+    "dayStreakLongest" INTEGER NOT NULL DEFAULT 0,
+    "lastPlayedDay" VARCHAR(10),
+    "recentGames" JSONB NOT NULL DEFAULT '[]',
+    "maxGamesInWindow" JSONB NOT NULL DEFAULT '{}',
+    "lastScoreAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "user_stats_pkey" PRIMARY KEY ("userId")
+);
+
+-- AddForeignKey
+ALTER TABLE "user_stats" ADD CONSTRAINT "user_stats_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "user_achievements" ADD COLUMN     "notifiedAt" TIMESTAMP(3);
+
+-- Achievements unlocked before notifications existed are not delivered again
+UPDATE "user_achievements" SET "notifiedAt" = "unlockedAt" WHERE "isUnlocked" = true;
+
+-- CreateIndex
+CREATE INDEX "user_achievements_userId_notifiedAt_idx" ON "user_achievements"("userId", "notifiedAt");
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "XpReason" AS ENUM ('achievement_unlocked', 'game_played');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "level" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "xp" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "xp_transactions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "reason" "XpReason" NOT NULL,
+    "referenceId" VARCHAR(64),
+    "balanceAfter" INTEGER NOT NULL,
+    "levelBefore" INTEGER NOT NULL,
+    "levelAfter" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "xp_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "xp_transactions_userId_createdAt_idx" ON "xp_transactions"("userId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "xp_transactions_userId_reason_referenceId_key" ON "xp_transactions"("userId", "reason", "referenceId");
+
+-- AddForeignKey
+ALTER TABLE "xp_transactions" ADD CONSTRAINT "xp_transactions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
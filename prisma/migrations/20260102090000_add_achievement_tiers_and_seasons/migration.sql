@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "AchievementTier" AS ENUM ('bronze', 'silver', 'gold');
+
+-- AlterTable
+ALTER TABLE "achievements" ADD COLUMN     "endsAt" TIMESTAMP(3),
+ADD COLUMN     "isSecret" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "previousTierId" TEXT,
+ADD COLUMN     "startsAt" TIMESTAMP(3),
+ADD COLUMN     "tier" "AchievementTier";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "achievements_previousTierId_key" ON "achievements"("previousTierId");
+
+-- AddForeignKey
+ALTER TABLE "achievements" ADD CONSTRAINT "achievements_previousTierId_fkey" FOREIGN KEY ("previousTierId") REFERENCES "achievements"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "achievements" ADD COLUMN     "rarityUpdatedAt" TIMESTAMP(3),
+ADD COLUMN     "unlockCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "unlockRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "user_achievements_achievementId_isUnlocked_idx" ON "user_achievements"("achievementId", "isUnlocked");
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "AchievementJobStatus" AS ENUM ('queued', 'running', 'completed', 'failed');
+
+-- AlterTable
+ALTER TABLE "achievements" ADD COLUMN     "retiredAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "achievement_jobs" (
+    "id" TEXT NOT NULL,
+    "achievementIds" TEXT[],
+    "status" "AchievementJobStatus" NOT NULL DEFAULT 'queued',
+    "totalUsers" INTEGER NOT NULL DEFAULT 0,
+    "processedUsers" INTEGER NOT NULL DEFAULT 0,
+    "unlockedCount" INTEGER NOT NULL DEFAULT 0,
+    "error" VARCHAR(500),
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "achievement_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "achievement_jobs_status_idx" ON "achievement_jobs"("status");
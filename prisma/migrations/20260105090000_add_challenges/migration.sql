@@ -0,0 +1,60 @@
+-- AlterEnum
+ALTER TYPE "XpReason" ADD VALUE 'challenge_reward';
+
+-- CreateEnum
+CREATE TYPE "ChallengePeriod" AS ENUM ('daily', 'weekly');
+
+-- CreateEnum
+CREATE TYPE "ChallengeMetric" AS ENUM ('games_played', 'total_score', 'best_score', 'wins');
+
+-- CreateTable
+CREATE TABLE "challenges" (
+    "id" TEXT NOT NULL,
+    "period" "ChallengePeriod" NOT NULL,
+    "periodKey" VARCHAR(20) NOT NULL,
+    "slot" INTEGER NOT NULL,
+    "title" VARCHAR(100) NOT NULL,
+    "description" VARCHAR(500) NOT NULL,
+    "metric" "ChallengeMetric" NOT NULL,
+    "gameType" "GameType",
+    "difficulty" "Difficulty",
+    "target" INTEGER NOT NULL,
+    "rewardPoints" INTEGER NOT NULL DEFAULT 20,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "challenges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "user_challenges" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "challengeId" TEXT NOT NULL,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "completedAt" TIMESTAMP(3),
+    "claimedAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "user_challenges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "challenges_startsAt_endsAt_idx" ON "challenges"("startsAt", "endsAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "challenges_period_periodKey_slot_key" ON "challenges"("period", "periodKey", "slot");
+
+-- CreateIndex
+CREATE INDEX "user_challenges_challengeId_idx" ON "user_challenges"("challengeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_challenges_userId_challengeId_key" ON "user_challenges"("userId", "challengeId");
+
+-- AddForeignKey
+ALTER TABLE "user_challenges" ADD CONSTRAINT "user_challenges_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_challenges" ADD CONSTRAINT "user_challenges_challengeId_fkey" FOREIGN KEY ("challengeId") REFERENCES "challenges"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "daily_puzzle_attempts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "gameType" "GameType" NOT NULL,
+    "dayKey" VARCHAR(10) NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "submittedAt" TIMESTAMP(3),
+    "scoreId" TEXT,
+    "score" INTEGER,
+    "timeSpent" INTEGER,
+
+    CONSTRAINT "daily_puzzle_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "daily_puzzle_attempts_scoreId_key" ON "daily_puzzle_attempts"("scoreId");
+
+-- CreateIndex
+CREATE INDEX "daily_puzzle_attempts_gameType_dayKey_score_idx" ON "daily_puzzle_attempts"("gameType", "dayKey", "score" DESC);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "daily_puzzle_attempts_userId_gameType_dayKey_key" ON "daily_puzzle_attempts"("userId", "gameType", "dayKey");
+
+-- AddForeignKey
+ALTER TABLE "daily_puzzle_attempts" ADD CONSTRAINT "daily_puzzle_attempts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "daily_puzzle_attempts" ADD CONSTRAINT "daily_puzzle_attempts_scoreId_fkey" FOREIGN KEY ("scoreId") REFERENCES "game_scores"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "game_scores" ADD COLUMN     "isRanked" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "isVerified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "verificationError" VARCHAR(255);
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "CaroMatchStatus" AS ENUM ('pending', 'active', 'finished', 'cancelled');
+
+-- CreateEnum
+CREATE TYPE "CaroEndReason" AS ENUM ('five_in_row', 'resign', 'timeout', 'draw_agreed', 'board_full');
+
+-- CreateTable
+CREATE TABLE "caro_matches" (
+    "id" TEXT NOT NULL,
+    "playerXId" TEXT NOT NULL,
+    "playerOId" TEXT NOT NULL,
+    "invitedBy" TEXT NOT NULL,
+    "status" "CaroMatchStatus" NOT NULL DEFAULT 'pending',
+    "boardSize" INTEGER NOT NULL DEFAULT 15,
+    "moves" JSONB NOT NULL DEFAULT '[]',
+    "moveCount" INTEGER NOT NULL DEFAULT 0,
+    "turnSeconds" INTEGER NOT NULL DEFAULT 30,
+    "turnDeadline" TIMESTAMP(3),
+    "drawOfferedBy" TEXT,
+    "winnerId" TEXT,
+    "endReason" "CaroEndReason",
+    "winningLine" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "caro_matches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "caro_matches_playerXId_status_idx" ON "caro_matches"("playerXId", "status");
+
+-- CreateIndex
+CREATE INDEX "caro_matches_playerOId_status_idx" ON "caro_matches"("playerOId", "status");
+
+-- CreateIndex
+CREATE INDEX "caro_matches_status_idx" ON "caro_matches"("status");
+
+-- AddForeignKey
+ALTER TABLE "caro_matches" ADD CONSTRAINT "caro_matches_playerXId_fkey" FOREIGN KEY ("playerXId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "caro_matches" ADD CONSTRAINT "caro_matches_playerOId_fkey" FOREIGN KEY ("playerOId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
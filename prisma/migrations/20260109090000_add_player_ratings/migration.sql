@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "caro_matches" ADD COLUMN     "ratingChangeO" INTEGER,
+ADD COLUMN     "ratingChangeX" INTEGER;
+
+-- CreateTable
+CREATE TABLE "player_ratings" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "gameType" "GameType" NOT NULL,
+    "rating" INTEGER NOT NULL DEFAULT 1200,
+    "peakRating" INTEGER NOT NULL DEFAULT 1200,
+    "gamesPlayed" INTEGER NOT NULL DEFAULT 0,
+    "wins" INTEGER NOT NULL DEFAULT 0,
+    "losses" INTEGER NOT NULL DEFAULT 0,
+    "draws" INTEGER NOT NULL DEFAULT 0,
+    "lastPlayedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "player_ratings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "player_ratings_gameType_rating_idx" ON "player_ratings"("gameType", "rating" DESC);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "player_ratings_userId_gameType_key" ON "player_ratings"("userId", "gameType");
+
+-- AddForeignKey
+ALTER TABLE "player_ratings" ADD CONSTRAINT "player_ratings_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
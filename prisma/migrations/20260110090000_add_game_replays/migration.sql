@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "game_replays" (
+    "id" TEXT NOT NULL,
+    "scoreId" TEXT NOT NULL,
+    "gameType" "GameType" NOT NULL,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "moveCount" INTEGER NOT NULL,
+    "durationMs" INTEGER NOT NULL,
+    "data" BYTEA NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "game_replays_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_replays_scoreId_key" ON "game_replays"("scoreId");
+
+-- AddForeignKey
+ALTER TABLE "game_replays" ADD CONSTRAINT "game_replays_scoreId_fkey" FOREIGN KEY ("scoreId") REFERENCES "game_scores"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "user_blocks" (
+    "id" TEXT NOT NULL,
+    "blockerId" TEXT NOT NULL,
+    "blockedId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_blocks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "user_blocks_blockedId_idx" ON "user_blocks"("blockedId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_blocks_blockerId_blockedId_key" ON "user_blocks"("blockerId", "blockedId");
+
+-- AddForeignKey
+ALTER TABLE "user_blocks" ADD CONSTRAINT "user_blocks_blockerId_fkey" FOREIGN KEY ("blockerId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_blocks" ADD CONSTRAINT "user_blocks_blockedId_fkey" FOREIGN KEY ("blockedId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move blocked friendships to user_blocks (a block ends the friendship)
+INSERT INTO "user_blocks" ("id", "blockerId", "blockedId", "createdAt")
+SELECT gen_random_uuid()::text, f."blockedBy",
+       CASE WHEN f."blockedBy" = f."userId1" THEN f."userId2" ELSE f."userId1" END,
+       f."createdAt"
+FROM "friendships" f
+WHERE f."isBlocked" = true AND f."blockedBy" IN (f."userId1", f."userId2")
+ON CONFLICT DO NOTHING;
+
+DELETE FROM "friendships" WHERE "isBlocked" = true;
@@ -0,0 +1,13 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "RequestStatus" ADD VALUE 'cancelled';
+ALTER TYPE "RequestStatus" ADD VALUE 'expired';
+
+-- CreateIndex
+CREATE INDEX "friend_requests_senderId_status_idx" ON "friend_requests"("senderId", "status");
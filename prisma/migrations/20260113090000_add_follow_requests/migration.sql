@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "FollowStatus" AS ENUM ('pending', 'accepted');
+
+-- AlterTable
+ALTER TABLE "follows" ADD COLUMN     "acceptedAt" TIMESTAMP(3),
+ADD COLUMN     "status" "FollowStatus" NOT NULL DEFAULT 'accepted';
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "isPrivate" BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing follows were accepted when they were made
+UPDATE "follows" SET "acceptedAt" = "createdAt";
+
+-- CreateIndex
+CREATE INDEX "follows_followingId_status_createdAt_idx" ON "follows"("followingId", "status", "createdAt" DESC);
+
+-- CreateIndex
+CREATE INDEX "follows_followerId_status_createdAt_idx" ON "follows"("followerId", "status", "createdAt" DESC);
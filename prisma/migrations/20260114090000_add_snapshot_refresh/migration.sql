@@ -0,0 +1,6 @@
+-- Snapshots made on first request (any time zone, frozen before late scores arrived)
+-- are dropped; the snapshot job rebuilds the kept set
+DELETE FROM "leaderboard_snapshots";
+
+-- AlterTable
+ALTER TABLE "leaderboard_snapshots" ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL;
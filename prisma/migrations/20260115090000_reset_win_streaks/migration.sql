@@ -0,0 +1,3 @@
+-- Stored win streaks counted any positive solo score as a win; drop the stored
+-- counters so they are rebuilt from history with the per-game win rules
+DELETE FROM "user_stats";
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "sudoku_puzzles" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "difficulty" "Difficulty" NOT NULL,
+    "givens" CHAR(81) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sudoku_puzzles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sudoku_puzzles_userId_createdAt_idx" ON "sudoku_puzzles"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "sudoku_puzzles" ADD CONSTRAINT "sudoku_puzzles_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Sudoku scores were verified against the board the client sent; none of them can be
+-- trusted, so they leave ranked leaderboards; stored win streaks and leaderboard
+-- snapshots are rebuilt without them
+UPDATE "game_scores" SET "isVerified" = false, "isRanked" = false
+WHERE "gameType" = 'sudoku' AND "isVerified" = true;
+
+DELETE FROM "user_stats";
+
+DELETE FROM "leaderboard_snapshots";
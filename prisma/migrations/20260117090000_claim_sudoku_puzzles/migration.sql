@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "sudoku_puzzles" ADD COLUMN     "scoreId" TEXT,
+ADD COLUMN     "usedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sudoku_puzzles_scoreId_key" ON "sudoku_puzzles"("scoreId");
+
+-- AddForeignKey
+ALTER TABLE "sudoku_puzzles" ADD CONSTRAINT "sudoku_puzzles_scoreId_fkey" FOREIGN KEY ("scoreId") REFERENCES "game_scores"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Each issued board keeps the first verified score played on it
+UPDATE "sudoku_puzzles" AS "puzzle"
+SET "scoreId" = "first"."id", "usedAt" = "first"."createdAt"
+FROM (
+    SELECT DISTINCT ON ("gameData"->>'puzzleId') "id", "userId", "createdAt", "gameData"->>'puzzleId' AS "puzzleId"
+    FROM "game_scores"
+    WHERE "gameType" = 'sudoku' AND "isVerified" = true
+      AND "gameData"->>'puzzleId' IS NOT NULL AND "gameData"->'daily' IS NULL
+    ORDER BY "gameData"->>'puzzleId', "createdAt", "id"
+) AS "first"
+WHERE "puzzle"."id" = "first"."puzzleId" AND "puzzle"."userId" = "first"."userId";
+
+-- Resubmissions of a used board lose the badge; win streaks and snapshots are rebuilt
+UPDATE "game_scores"
+SET "isVerified" = false, "isRanked" = false, "verificationError" = 'This board was already used for another score'
+WHERE "gameType" = 'sudoku' AND "isVerified" = true
+  AND "gameData"->>'puzzleId' IS NOT NULL AND "gameData"->'daily' IS NULL
+  AND NOT EXISTS (SELECT 1 FROM "sudoku_puzzles" WHERE "sudoku_puzzles"."scoreId" = "game_scores"."id");
+
+DELETE FROM "user_stats";
+
+DELETE FROM "leaderboard_snapshots";
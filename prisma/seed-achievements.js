@@ -230,18 +230,118 @@ async function seedAchievements() {
       points: 200,
       order: 43,
     },
+
+    // ==================== STREAK ACHIEVEMENTS ====================
+    {
+      name: 'On Fire',
+      description: 'Win 5 games in a row',
+      icon: '🔥',
+      category: 'games',
+      requirement: { type: 'win_streak', value: 5 },
+      points: 50,
+      order: 50,
+    },
+    {
+      name: 'Caro Unstoppable',
+      description: 'Win 10 Caro games in a row',
+      icon: '⚡',
+      category: 'games',
+      requirement: { type: 'win_streak', gameType: 'caro', value: 10 },
+      points: 150,
+      order: 51,
+    },
+    {
+      name: 'Dedicated',
+      description: 'Play on 7 consecutive days',
+      icon: '📅',
+      category: 'milestone',
+      requirement: { type: 'consecutive_days', value: 7 },
+      points: 75,
+      order: 52,
+    },
+    {
+      name: 'Marathon',
+      description: 'Play 10 games within 24 hours',
+      icon: '🏃',
+      category: 'milestone',
+      requirement: { type: 'games_in_window', value: 10, windowHours: 24 },
+      points: 50,
+      order: 53,
+    },
+
+    // ==================== TIERED ACHIEVEMENTS ====================
+    // previousTier: name of the tier that must be unlocked first
+    {
+      name: 'Hardened (Bronze)',
+      description: 'Play 25 games on hard',
+      icon: '🥉',
+      category: 'games',
+      requirement: { type: 'games_by_difficulty', difficulty: 'hard', value: 25 },
+      points: 50,
+      order: 60,
+      tier: 'bronze',
+    },
+    {
+      name: 'Hardened (Silver)',
+      description: 'Play 50 games on hard',
+      icon: '🥈',
+      category: 'games',
+      requirement: { type: 'games_by_difficulty', difficulty: 'hard', value: 50 },
+      points: 100,
+      order: 61,
+      tier: 'silver',
+      previousTier: 'Hardened (Bronze)',
+    },
+    {
+      name: 'Hardened (Gold)',
+      description: 'Play 100 games on hard',
+      icon: '🥇',
+      category: 'games',
+      requirement: { type: 'games_by_difficulty', difficulty: 'hard', value: 100 },
+      points: 200,
+      order: 62,
+      tier: 'gold',
+      previousTier: 'Hardened (Silver)',
+    },
+
+    // ==================== SECRET ACHIEVEMENTS ====================
+    {
+      name: 'Perfect Balance',
+      description: 'Play 10 games on every difficulty',
+      icon: '☯️',
+      category: 'milestone',
+      requirement: {
+        type: 'all',
+        requirements: ['easy', 'medium', 'hard', 'expert'].map((difficulty) => ({
+          type: 'games_by_difficulty',
+          difficulty,
+          value: 10,
+        })),
+      },
+      points: 100,
+      order: 70,
+      isSecret: true,
+    },
   ];
 
   let created = 0;
   let skipped = 0;
 
-  for (const achievement of achievements) {
+  // Seeded IDs by name, to link tiers
+  const ids = new Map();
+
+  for (const { previousTier, ...achievement } of achievements) {
     try {
-      await prisma.achievement.upsert({
+      if (previousTier) {
+        achievement.previousTierId = ids.get(previousTier);
+      }
+
+      const saved = await prisma.achievement.upsert({
         where: { name: achievement.name },
         update: achievement,
         create: achievement,
       });
+      ids.set(saved.name, saved.id);
       created++;
       console.log(`✅ ${achievement.name}`);
     } catch (error) {
@@ -0,0 +1,67 @@
+/**
+ * Backfill normalizedScore for game scores saved before it existed
+ * Safe to run more than once (recomputes every row)
+ * Run: node scripts/backfill-normalized-scores.js
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { calculateNormalizedScore } = require('../src/middleware/validation');
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 500;
+
+async function main() {
+  console.log('🔍 Backfilling normalized scores...');
+
+  let cursor = null;
+  let updated = 0;
+
+  while (true) {
+    const scores = await prisma.gameScore.findMany({
+      select: {
+        id: true,
+        gameType: true,
+        score: true,
+        difficulty: true,
+        timeSpent: true,
+        normalizedScore: true,
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    if (scores.length === 0) break;
+
+    const updates = scores
+      .map((s) => ({
+        id: s.id,
+        current: s.normalizedScore,
+        normalizedScore: calculateNormalizedScore(s.gameType, s.score, s.difficulty, s.timeSpent),
+      }))
+      .filter((s) => s.current !== s.normalizedScore)
+      .map((s) => prisma.gameScore.update({
+        where: { id: s.id },
+        data: { normalizedScore: s.normalizedScore },
+      }));
+
+    if (updates.length > 0) {
+      await prisma.$transaction(updates);
+    }
+
+    updated += updates.length;
+    cursor = scores[scores.length - 1].id;
+    console.log(`  - Processed up to ${cursor} (${updated} updated)`);
+  }
+
+  console.log(`\n✅ Backfill complete: ${updated} scores updated`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
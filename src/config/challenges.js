@@ -0,0 +1,41 @@
+/**
+ * Challenge Templates
+ * Daily and weekly challenges are generated from these when a period has none scheduled
+ * A period's set is picked deterministically from its key, so every server generates the same one
+ *
+ * metric: games_played (count), total_score (sum), best_score (max), wins (count of won games,
+ * only for WIN_GAME_TYPES)
+ * {target} in title / description is replaced with the picked target
+ */
+
+// Games with a real win / loss result (server-written caro matches); solo games only finish
+const WIN_GAME_TYPES = ['caro'];
+
+const CHALLENGES_PER_PERIOD = {
+  daily: 3,
+  weekly: 2,
+};
+
+const CHALLENGE_TEMPLATES = {
+  daily: [
+    { metric: 'games_played', targets: [3, 5], rewardPoints: 20, title: 'Warm Up', description: 'Play {target} games today' },
+    { metric: 'games_played', difficulty: 'hard', targets: [2, 3], rewardPoints: 30, title: 'Hard Mode', description: 'Finish {target} hard games today' },
+    { metric: 'games_played', gameType: 'sudoku', difficulty: 'hard', targets: [2, 3], rewardPoints: 35, title: 'Sudoku Grinder', description: 'Finish {target} hard sudoku games today' },
+    { metric: 'wins', gameType: 'caro', targets: [1, 2], rewardPoints: 25, title: 'Caro Victor', description: 'Win {target} caro games today' },
+    { metric: 'best_score', gameType: 'puzzle', targets: [200, 300], rewardPoints: 25, title: 'Puzzle Sprint', description: 'Score {target} in a single puzzle game today' },
+    { metric: 'total_score', targets: [500, 1000], rewardPoints: 30, title: 'Point Collector', description: 'Score {target} points in total today' },
+  ],
+  weekly: [
+    { metric: 'games_played', targets: [15, 25], rewardPoints: 75, title: 'Regular', description: 'Play {target} games this week' },
+    { metric: 'total_score', gameType: 'puzzle', targets: [500, 1000], rewardPoints: 80, title: 'Puzzle Week', description: 'Score {target} in puzzle this week' },
+    { metric: 'wins', gameType: 'caro', targets: [5, 10], rewardPoints: 90, title: 'Winning Week', description: 'Win {target} caro matches this week' },
+    { metric: 'games_played', difficulty: 'expert', targets: [3, 5], rewardPoints: 100, title: 'Expert Week', description: 'Finish {target} expert games this week' },
+    { metric: 'total_score', targets: [3000, 5000], rewardPoints: 100, title: 'High Roller', description: 'Score {target} points in total this week' },
+  ],
+};
+
+module.exports = {
+  WIN_GAME_TYPES,
+  CHALLENGES_PER_PERIOD,
+  CHALLENGE_TEMPLATES,
+};
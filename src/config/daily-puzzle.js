@@ -0,0 +1,40 @@
+/**
+ * Daily Puzzle Configuration
+ * Every player gets the same board per game type and day: the client builds it from
+ * the server-issued seed (the sudoku board is built on the server and sent as is).
+ * Seeds are an HMAC of the game type and day, so they can't be predicted before the
+ * day starts.
+ */
+const crypto = require('crypto');
+
+// Game types with a daily board, and the difficulty it is played (and scored) at
+const DAILY_PUZZLE_GAMES = {
+  sudoku: { difficulty: 'medium' },
+  puzzle: { difficulty: 'medium' },
+  rubik: { difficulty: 'medium' },
+};
+
+// An attempt started before midnight can still be submitted this long after the day ends
+const DAILY_SUBMIT_GRACE = 60 * 60 * 1000; // 1 hour
+
+const SEED_SECRET = process.env.DAILY_PUZZLE_SECRET || process.env.JWT_SECRET || 'daily-puzzle';
+
+/**
+ * Seed of a game type's board for a day
+ * @param {string} gameType
+ * @param {string} dayKey - e.g. "2025-12-26"
+ * @returns {string} 32 hex characters
+ */
+function getDailySeed(gameType, dayKey) {
+  return crypto
+    .createHmac('sha256', SEED_SECRET)
+    .update(`${gameType}:${dayKey}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+module.exports = {
+  DAILY_PUZZLE_GAMES,
+  DAILY_SUBMIT_GRACE,
+  getDailySeed,
+};
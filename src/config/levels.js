@@ -0,0 +1,77 @@
+/**
+ * Level Curve Configuration
+ * Total XP needed to reach a level: LEVEL_BASE_XP * (level - 1) ^ LEVEL_EXPONENT
+ * Defaults: level 2 at 100 XP, level 5 at 800 XP, level 10 at 2700 XP
+ */
+
+const parsePositive = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const LEVEL_BASE_XP = parsePositive(process.env.LEVEL_BASE_XP, 100);
+const LEVEL_EXPONENT = parsePositive(process.env.LEVEL_EXPONENT, 1.5);
+const MAX_LEVEL = Math.floor(parsePositive(process.env.LEVEL_MAX, 100));
+
+// XP for every approved game, by difficulty
+const GAME_PLAYED_XP = {
+  easy: 5,
+  medium: 10,
+  hard: 15,
+  expert: 20,
+};
+
+/**
+ * Total XP needed to reach a level
+ * @param {number} level
+ * @returns {number}
+ */
+function getXpForLevel(level) {
+  if (level <= 1) return 0;
+  return Math.round(LEVEL_BASE_XP * Math.pow(level - 1, LEVEL_EXPONENT));
+}
+
+/**
+ * Level reached with a total amount of XP
+ * @param {number} xp
+ * @returns {number}
+ */
+function getLevelForXp(xp) {
+  let level = 1;
+  while (level < MAX_LEVEL && xp >= getXpForLevel(level + 1)) {
+    level++;
+  }
+  return level;
+}
+
+/**
+ * Level and progress toward the next one
+ * @param {number} xp - Total XP
+ * @returns {{ level: number, xp: number, currentLevelXp: number, nextLevelXp: number|null,
+ *   xpIntoLevel: number, xpToNextLevel: number, progress: number, isMaxLevel: boolean }}
+ */
+function getLevelInfo(xp) {
+  const level = getLevelForXp(xp);
+  const currentLevelXp = getXpForLevel(level);
+  const isMaxLevel = level >= MAX_LEVEL;
+  const nextLevelXp = isMaxLevel ? null : getXpForLevel(level + 1);
+
+  return {
+    level,
+    xp,
+    currentLevelXp,
+    nextLevelXp,
+    xpIntoLevel: xp - currentLevelXp,
+    xpToNextLevel: isMaxLevel ? 0 : nextLevelXp - xp,
+    progress: isMaxLevel ? 100 : Math.floor(((xp - currentLevelXp) / (nextLevelXp - currentLevelXp)) * 100),
+    isMaxLevel,
+  };
+}
+
+module.exports = {
+  MAX_LEVEL,
+  GAME_PLAYED_XP,
+  getXpForLevel,
+  getLevelForXp,
+  getLevelInfo,
+};
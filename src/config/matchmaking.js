@@ -0,0 +1,39 @@
+/**
+ * Ratings & Matchmaking Configuration
+ * Competitive game types keep an Elo rating per player; the matchmaking queue pairs
+ * players whose ratings are within a search range that widens while they wait
+ */
+
+// Game types with ratings and a matchmaking queue
+const RATED_GAME_TYPES = ['caro'];
+
+const DEFAULT_RATING = 1200;
+const MIN_RATING = 100;
+
+// Elo K-factor: new players move faster, established top players slower
+const K_FACTORS = {
+  provisional: 40, // fewer than PROVISIONAL_GAMES rated games
+  standard: 20,
+  master: 10, // rating at or above MASTER_RATING
+};
+const PROVISIONAL_GAMES = 30;
+const MASTER_RATING = 2400;
+
+// Rating search range: starts narrow and widens every step while waiting
+const QUEUE_SEARCH = {
+  initialRange: 100,
+  widenBy: 50,
+  widenEvery: 10 * 1000, // 10 seconds
+  maxRange: 800,
+  tickInterval: 2 * 1000, // how often the queue looks for pairs
+};
+
+module.exports = {
+  RATED_GAME_TYPES,
+  DEFAULT_RATING,
+  MIN_RATING,
+  K_FACTORS,
+  PROVISIONAL_GAMES,
+  MASTER_RATING,
+  QUEUE_SEARCH,
+};
@@ -0,0 +1,144 @@
+/**
+ * Caro Socket Handlers
+ * Real-time multiplayer caro on top of caro-matches.js and caro-matchmaking.js
+ * Events are acknowledged with { success, message?, data? }; match updates go to
+ * every socket of both players and to spectators (caro:invited, caro:started, caro:moved,
+ * caro:draw:offered, caro:draw:declined, caro:ended, caro:cancelled)
+ */
+const caro = require('../routes/caro-matches');
+const matchmaking = require('../routes/caro-matchmaking');
+
+/**
+ * Register caro events for a connected socket
+ * @param {Server} io - Socket.IO server instance
+ * @param {Socket} socket - Authenticated socket (socket.userId set)
+ */
+function registerCaroHandlers(io, socket) {
+  const userId = socket.userId;
+
+  /**
+   * Run a match action and acknowledge it
+   */
+  const handle = (event, action) => {
+    socket.on(event, async (data, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+      try {
+        const result = await action(data || {});
+        if (result.error) {
+          return respond({ success: false, message: result.error });
+        }
+        respond({ success: true, data: { match: caro.presentMatch(result.match) } });
+      } catch (error) {
+        console.error(`Caro ${event} error:`, error);
+        respond({ success: false, message: 'Failed to process caro action' });
+      }
+    });
+  };
+
+  // ==================== INVITES ====================
+  handle('caro:invite', ({ opponentId }) => caro.createInvite(io, userId, opponentId));
+  handle('caro:accept', async ({ matchId }) => {
+    const result = await caro.acceptInvite(io, userId, matchId);
+    // Playing a friend now: don't also get paired by matchmaking
+    if (!result.error) matchmaking.leaveQueue(userId);
+    return result;
+  });
+  handle('caro:decline', ({ matchId }) => caro.declineInvite(io, userId, matchId));
+
+  // ==================== PLAY ====================
+  handle('caro:move', ({ matchId, x, y }) => caro.makeMove(io, userId, matchId, x, y));
+  handle('caro:resign', ({ matchId }) => caro.resign(io, userId, matchId));
+  handle('caro:draw:offer', ({ matchId }) => caro.offerDraw(io, userId, matchId));
+  handle('caro:draw:respond', ({ matchId, accept }) => caro.respondDraw(io, userId, matchId, accept === true));
+
+  // ==================== MATCHMAKING ====================
+  // Rated match against a player of similar rating; a match found is sent as caro:started
+  socket.on('caro:queue:join', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    try {
+      const result = await matchmaking.joinQueue(io, userId, socket.id);
+      if (result.error) {
+        return respond({ success: false, message: result.error });
+      }
+      respond({ success: true, data: { queue: result.entry } });
+    } catch (error) {
+      console.error('Caro caro:queue:join error:', error);
+      respond({ success: false, message: 'Failed to join the queue' });
+    }
+  });
+
+  socket.on('caro:queue:leave', (data, callback) => {
+    const left = matchmaking.leaveQueue(userId);
+    if (typeof callback === 'function') {
+      callback(left ? { success: true } : { success: false, message: 'You are not in the queue' });
+    }
+  });
+
+  socket.on('caro:queue:status', (data, callback) => {
+    if (typeof callback === 'function') {
+      callback({ success: true, data: { queue: matchmaking.getQueueEntry(userId) } });
+    }
+  });
+
+  // A queue entry lasts as long as the socket that made it
+  socket.on('disconnect', () => matchmaking.leaveQueue(userId, socket.id));
+
+  // ==================== SPECTATORS ====================
+  // Friends' matches in progress
+  socket.on('caro:live', async (data, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      const matches = await caro.getLiveFriendMatches(userId);
+      callback({ success: true, data: { matches: matches.map(caro.presentMatch) } });
+    } catch (error) {
+      console.error('Caro caro:live error:', error);
+      callback({ success: false, message: 'Failed to load live matches' });
+    }
+  });
+
+  // Watch a friend's match: the ack has the current state, then the match events follow
+  handle('caro:spectate', async ({ matchId }) => {
+    const result = await caro.spectateMatch(userId, matchId);
+    if (!result.error) socket.join(caro.getSpectatorRoom(matchId));
+    return result;
+  });
+
+  socket.on('caro:spectate:leave', (data, callback) => {
+    const room = data && typeof data.matchId === 'string' ? caro.getSpectatorRoom(data.matchId) : null;
+    const isWatching = room && socket.rooms.has(room);
+    if (isWatching) socket.leave(room);
+    if (typeof callback === 'function') {
+      callback(isWatching ? { success: true } : { success: false, message: 'You are not watching this match' });
+    }
+  });
+
+  // ==================== RECONNECTION ====================
+  // Full state of one match, e.g. after a missed event or a "Match changed" error
+  handle('caro:sync', ({ matchId }) => caro.loadPlayerMatch(matchId, userId));
+
+  // Open invites and matches in progress, so a reconnecting client can resume them
+  caro.getOpenMatches(userId)
+    .then((matches) => {
+      if (matches.length > 0) {
+        socket.emit('caro:matches', { matches: matches.map(caro.presentMatch) });
+      }
+    })
+    .catch((error) => console.error('Caro open matches error:', error));
+}
+
+/**
+ * Resume turn and invite timers of open matches (call once at startup)
+ * @param {Server} io - Socket.IO server instance
+ */
+function resumeCaroMatches(io) {
+  caro.resumeMatchTimers(io)
+    .then((count) => {
+      if (count > 0) console.log(`🎮 Resumed ${count} caro match timer(s)`);
+    })
+    .catch((error) => console.error('Resume caro matches error:', error));
+}
+
+module.exports = {
+  registerCaroHandlers,
+  resumeCaroMatches,
+};
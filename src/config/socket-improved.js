@@ -8,6 +8,9 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { getUserRoom } = require('./socket-notifications');
+const { deliverPendingAchievements } = require('../routes/achievements-checker');
+const { registerCaroHandlers, resumeCaroMatches } = require('./socket-caro');
 const prisma = new PrismaClient();
 
 // Store online users: Map<userId, {socketId, lastActivity}>
@@ -100,6 +103,15 @@ function initializeSocket(httpServer) {
       lastActivity: Date.now()
     });
 
+    // Personal room: routes push notifications to all of the user's sockets (emitToUser)
+    socket.join(getUserRoom(userId));
+
+    // Achievements unlocked while the user was offline
+    deliverPendingAchievements(socket);
+
+    // Multiplayer caro (also re-sends open matches on reconnect)
+    registerCaroHandlers(io, socket);
+
     // Initialize user rooms
     if (!userRooms.has(userId)) {
       userRooms.set(userId, new Set());
@@ -388,6 +400,9 @@ function initializeSocket(httpServer) {
     });
   });
 
+  // Turn timers of caro matches that were running before a restart
+  resumeCaroMatches(io);
+
   console.log('🔌 Socket.IO server initialized with enhanced security');
   return io;
 }
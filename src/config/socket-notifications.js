@@ -0,0 +1,46 @@
+/**
+ * Socket.IO Notifications
+ * Push events to every socket of a user from routes (req.app.get('io'))
+ * Each socket joins its user's room on connect (see socket.js)
+ */
+
+/**
+ * Room shared by all sockets of a user
+ * @param {string} userId
+ * @returns {string}
+ */
+function getUserRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Whether the user has at least one connected socket
+ * @param {Server} io - Socket.IO server instance (may be missing, e.g. in scripts)
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isUserConnected(io, userId) {
+  if (!io) return false;
+  const room = io.sockets.adapter.rooms.get(getUserRoom(userId));
+  return Boolean(room && room.size > 0);
+}
+
+/**
+ * Emit an event to all sockets of a user
+ * @param {Server} io - Socket.IO server instance
+ * @param {string} userId
+ * @param {string} event - Event name, e.g. "achievement:unlocked"
+ * @param {Object} data
+ * @returns {boolean} True if the user had a connected socket
+ */
+function emitToUser(io, userId, event, data) {
+  if (!isUserConnected(io, userId)) return false;
+  io.to(getUserRoom(userId)).emit(event, data);
+  return true;
+}
+
+module.exports = {
+  getUserRoom,
+  isUserConnected,
+  emitToUser,
+};
@@ -1,6 +1,22 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
 
+// User fields attached to req.user
+const USER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  role: true, // Include role
+  isPrivate: true,
+  avatarUrl: true,
+  totalGamesPlayed: true,
+  totalScore: true,
+  xp: true,
+  level: true,
+  createdAt: true,
+  lastLoginAt: true,
+};
+
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request
@@ -25,17 +41,7 @@ const authenticate = async (req, res, next) => {
     // Find user
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        role: true, // Include role
-        avatarUrl: true,
-        totalGamesPlayed: true,
-        totalScore: true,
-        createdAt: true,
-        lastLoginAt: true,
-      },
+      select: USER_SELECT,
     });
 
     if (!user) {
@@ -71,6 +77,40 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional authentication middleware
+ * Attaches the user when a valid token is sent, otherwise continues anonymously
+ * Usage: public endpoints that personalize their response (e.g. "your rank")
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  const authHeader = req.header('Authorization');
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.replace('Bearer ', ''), process.env.JWT_SECRET);
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: USER_SELECT,
+    });
+
+    if (user) {
+      req.user = user;
+      req.userId = user.id;
+    }
+  } catch (error) {
+    // Invalid or expired token: treat as anonymous
+    if (error.name !== 'JsonWebTokenError' && error.name !== 'TokenExpiredError') {
+      console.error('Optional auth middleware error:', error);
+    }
+  }
+
+  next();
+};
+
 /**
  * Role-based authorization middleware
  * @param {string[]} allowedRoles - Array of allowed roles (e.g., ['ADMIN', 'MODERATOR'])
@@ -100,4 +140,4 @@ const requireRole = (allowedRoles) => {
   };
 };
 
-module.exports = { authenticateToken: authenticate, requireRole };
\ No newline at end of file
+module.exports = { authenticateToken: authenticate, optionalAuthenticate, requireRole };
\ No newline at end of file
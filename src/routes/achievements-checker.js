@@ -1,169 +1,144 @@
 /**
  * Achievements Checker Helper
  * Automatically checks and unlocks achievements for a user
+ * Requirement evaluation lives in achievements-engine.js, stored counters in user-stats.js
+ * Unlocks are pushed to the user's sockets as achievement:unlocked and credit
+ * Achievement.points as XP
  */
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { prisma } = require('../config/database');
+const { isUserConnected, emitToUser } = require('../config/socket-notifications');
+const {
+  ACHIEVEMENT_EVENTS,
+  getRequirementEvents,
+  collectWindowSpecs,
+  withNextTiers,
+  evaluateAchievements,
+} = require('./achievements-engine');
+const { getUserStats, rebuildUserStats, updateUserStats } = require('./user-stats');
+const { creditXp, notifyLevelUps } = require('./xp-ledger');
 
 /**
- * Check and unlock achievements for a user
- * @param {string} userId - User ID to check achievements for
- * @returns {Promise<Object>} Result with newly unlocked achievements
+ * Evaluate achievements against stats and save progress / unlocks
+ * @param {string} userId
+ * @param {Object[]} achievements - Achievement rows to evaluate
+ * @param {Object} stats - Engine stats
+ * @returns {Promise<{ newlyUnlocked: Object[], totalUpdated: number, xpTransactions: Object[] }>}
  */
-async function checkAchievements(userId) {
-  try {
-    // Fetch user data with all relations
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      include: {
-        gameScores: true,
-        friendships1: true,
-        friendships2: true,
-        posts: true,
+async function evaluateAndSave(userId, achievements, stats) {
+  // Get existing user achievements (and the previous tiers they depend on)
+  const existingUserAchievements = await prisma.userAchievement.findMany({
+    where: {
+      userId,
+      achievementId: {
+        in: [
+          ...achievements.map(a => a.id),
+          ...achievements.map(a => a.previousTierId).filter(Boolean),
+        ],
       },
-    });
+    },
+  });
 
-    if (!user) {
-      throw new Error('User not found');
-    }
+  const existingMap = new Map(
+    existingUserAchievements.map(ua => [ua.achievementId, ua])
+  );
 
-    // Calculate user stats
-    const stats = {
-      total_games: user.totalGamesPlayed,
-      total_score: user.totalScore,
-      friends_count: user.friendships1.length + user.friendships2.length,
-      posts_count: user.posts.length,
-    };
+  const unlockedIds = new Set(
+    existingUserAchievements.filter(ua => ua.isUnlocked).map(ua => ua.achievementId)
+  );
+
+  const newlyUnlocked = [];
+  const updates = [];
+
+  // Unknown requirement types and out-of-season achievements are skipped
+  for (const { achievement, progress, isUnlocked } of evaluateAchievements(achievements, stats, unlockedIds)) {
+    const existing = existingMap.get(achievement.id);
+
+    // Create or update user achievement
+    if (!existing) {
+      updates.push(
+        prisma.userAchievement.create({
+          data: {
+            userId,
+            achievementId: achievement.id,
+            progress,
+            isUnlocked,
+            unlockedAt: isUnlocked ? new Date() : null,
+          },
+        })
+      );
 
-    // Calculate game-specific stats
-    const gameStats = {};
-    user.gameScores.forEach(score => {
-      if (!gameStats[score.gameType]) {
-        gameStats[score.gameType] = { highScore: 0, count: 0 };
+      if (isUnlocked) {
+        newlyUnlocked.push(achievement);
       }
-      gameStats[score.gameType].highScore = Math.max(
-        gameStats[score.gameType].highScore,
-        score.score
+    } else if (!existing.isUnlocked && isUnlocked) {
+      updates.push(
+        prisma.userAchievement.update({
+          where: { id: existing.id },
+          data: {
+            progress,
+            isUnlocked: true,
+            unlockedAt: new Date(),
+          },
+        })
       );
-      gameStats[score.gameType].count++;
-    });
 
-    // Calculate difficulty stats
-    const difficultyStats = {};
-    user.gameScores.forEach(score => {
-      difficultyStats[score.difficulty] = (difficultyStats[score.difficulty] || 0) + 1;
-    });
+      newlyUnlocked.push(achievement);
+    } else if (existing.progress !== progress) {
+      updates.push(
+        prisma.userAchievement.update({
+          where: { id: existing.id },
+          data: { progress },
+        })
+      );
+    }
+  }
 
-    // Get all achievements
-    const achievements = await prisma.achievement.findMany();
+  // Execute all updates
+  if (updates.length > 0) {
+    await prisma.$transaction(updates);
+  }
 
-    // Get existing user achievements
-    const existingUserAchievements = await prisma.userAchievement.findMany({
-      where: { userId },
+  // Unlocked achievements are worth their points in XP
+  const xpTransactions = [];
+  for (const achievement of newlyUnlocked) {
+    const entry = await creditXp(userId, {
+      amount: achievement.points,
+      reason: 'achievement_unlocked',
+      referenceId: achievement.id,
     });
+    if (entry) xpTransactions.push(entry);
+  }
 
-    const existingMap = new Map(
-      existingUserAchievements.map(ua => [ua.achievementId, ua])
-    );
-
-    const newlyUnlocked = [];
-    const updates = [];
-
-    for (const achievement of achievements) {
-      const existing = existingMap.get(achievement.id);
-      const req = achievement.requirement;
-
-      let progress = 0;
-      let isUnlocked = false;
-
-      // Calculate progress based on requirement type
-      switch (req.type) {
-        case 'total_games':
-          progress = Math.min(100, Math.round((stats.total_games / req.value) * 100));
-          isUnlocked = stats.total_games >= req.value;
-          break;
-
-        case 'total_score':
-          progress = Math.min(100, Math.round((stats.total_score / req.value) * 100));
-          isUnlocked = stats.total_score >= req.value;
-          break;
-
-        case 'game_high_score':
-          const gameHighScore = gameStats[req.gameType]?.highScore || 0;
-          progress = Math.min(100, Math.round((gameHighScore / req.value) * 100));
-          isUnlocked = gameHighScore >= req.value;
-          break;
-
-        case 'friends_count':
-          progress = Math.min(100, Math.round((stats.friends_count / req.value) * 100));
-          isUnlocked = stats.friends_count >= req.value;
-          break;
-
-        case 'posts_count':
-          progress = Math.min(100, Math.round((stats.posts_count / req.value) * 100));
-          isUnlocked = stats.posts_count >= req.value;
-          break;
-
-        case 'games_by_difficulty':
-          const difficultyCount = difficultyStats[req.difficulty] || 0;
-          progress = Math.min(100, Math.round((difficultyCount / req.value) * 100));
-          isUnlocked = difficultyCount >= req.value;
-          break;
-
-        default:
-          continue;
-      }
+  return { newlyUnlocked, totalUpdated: updates.length, xpTransactions };
+}
 
-      // Create or update user achievement
-      if (!existing) {
-        updates.push(
-          prisma.userAchievement.create({
-            data: {
-              userId,
-              achievementId: achievement.id,
-              progress,
-              isUnlocked,
-              unlockedAt: isUnlocked ? new Date() : null,
-            },
-          })
-        );
-
-        if (isUnlocked) {
-          newlyUnlocked.push(achievement);
-        }
-      } else if (!existing.isUnlocked && isUnlocked) {
-        updates.push(
-          prisma.userAchievement.update({
-            where: { id: existing.id },
-            data: {
-              progress,
-              isUnlocked: true,
-              unlockedAt: new Date(),
-            },
-          })
-        );
+/**
+ * Check and unlock achievements for a user
+ * Full check: recounts the user's stats from the database and evaluates every achievement
+ * @param {string} userId - User ID to check achievements for
+ * @returns {Promise<Object>} Result with newly unlocked achievements
+ */
+async function checkAchievements(userId) {
+  try {
+    // Get all achievements still being awarded
+    const achievements = await prisma.achievement.findMany({
+      where: { retiredAt: null },
+    });
 
-        newlyUnlocked.push(achievement);
-      } else if (existing.progress !== progress) {
-        updates.push(
-          prisma.userAchievement.update({
-            where: { id: existing.id },
-            data: { progress },
-          })
-        );
-      }
-    }
+    const stats = await rebuildUserStats(userId, collectWindowSpecs(achievements));
 
-    // Execute all updates
-    if (updates.length > 0) {
-      await prisma.$transaction(updates);
+    if (!stats) {
+      throw new Error('User not found');
     }
 
+    const { newlyUnlocked, totalUpdated, xpTransactions } = await evaluateAndSave(userId, achievements, stats);
+
     return {
       success: true,
       newlyUnlocked,
       totalChecked: achievements.length,
-      totalUpdated: updates.length,
+      totalUpdated,
+      xpTransactions,
     };
   } catch (error) {
     console.error('Check achievements error:', error);
@@ -171,4 +146,185 @@ async function checkAchievements(userId) {
   }
 }
 
-module.exports = checkAchievements;
+/**
+ * Update stored stats for a domain event and re-evaluate only the achievements
+ * whose requirements depend on it
+ * Send the event after the change is saved
+ * @param {string} userId - User whose stats changed (e.g. the post owner for like_received)
+ * @param {string} event - One of ACHIEVEMENT_EVENTS
+ * @param {Object} [payload] - { scores } for score_saved, { likeCount } for post_deleted
+ * @returns {Promise<Object>} Result with newly unlocked achievements
+ */
+async function handleAchievementEvent(userId, event, payload = {}) {
+  if (!ACHIEVEMENT_EVENTS.includes(event)) {
+    throw new Error(`Unknown achievement event: ${event}`);
+  }
+
+  const achievements = await prisma.achievement.findMany({
+    where: { retiredAt: null },
+  });
+
+  // Counters are kept current even when no achievement depends on the event yet
+  const stats = await updateUserStats(userId, event, payload, collectWindowSpecs(achievements));
+
+  if (!stats) {
+    throw new Error('User not found');
+  }
+
+  // Later tiers too: they may become earnable once an earlier tier unlocks
+  const affected = withNextTiers(
+    achievements,
+    achievements.filter(a => getRequirementEvents(a.requirement).has(event))
+  );
+  if (affected.length === 0) {
+    return { success: true, newlyUnlocked: [], totalChecked: 0, totalUpdated: 0, xpTransactions: [] };
+  }
+
+  const { newlyUnlocked, totalUpdated, xpTransactions } = await evaluateAndSave(userId, affected, stats);
+
+  return {
+    success: true,
+    newlyUnlocked,
+    totalChecked: affected.length,
+    totalUpdated,
+    xpTransactions,
+  };
+}
+
+/**
+ * Evaluate specific achievements for a user from their stored stats
+ * Used by the retroactive job when achievements are added or changed
+ * @param {string} userId
+ * @param {Object[]} achievements - Achievement rows to evaluate
+ * @param {Object} [options]
+ * @param {Server} [options.io] - For unlock / level-up notifications
+ * @returns {Promise<Object>} Result with newly unlocked achievements
+ */
+async function reevaluateAchievements(userId, achievements, { io } = {}) {
+  const stats = await getUserStats(userId, collectWindowSpecs(achievements));
+
+  if (!stats) {
+    throw new Error('User not found');
+  }
+
+  const { newlyUnlocked, totalUpdated, xpTransactions } = await evaluateAndSave(userId, achievements, stats);
+
+  await notifyAchievementUnlocks(io, userId, newlyUnlocked);
+  notifyLevelUps(io, userId, xpTransactions);
+
+  return {
+    success: true,
+    newlyUnlocked,
+    totalChecked: achievements.length,
+    totalUpdated,
+    xpTransactions,
+  };
+}
+
+/**
+ * Payload of the achievement:unlocked socket event
+ */
+const toUnlockEvent = (achievement, unlockedAt) => ({
+  achievement: {
+    id: achievement.id,
+    name: achievement.name,
+    description: achievement.description,
+    icon: achievement.icon,
+    category: achievement.category,
+    points: achievement.points,
+  },
+  unlockedAt,
+});
+
+/**
+ * Mark an unlock as notified; false if someone else already delivered it
+ */
+const claimNotification = async (userId, achievementId) => {
+  const { count } = await prisma.userAchievement.updateMany({
+    where: { userId, achievementId, isUnlocked: true, notifiedAt: null },
+    data: { notifiedAt: new Date() },
+  });
+  return count === 1;
+};
+
+/**
+ * Tell a user about newly unlocked achievements
+ * Emits achievement:unlocked to their connected sockets. Unlocks the user didn't
+ * see stay pending until deliverPendingAchievements runs on their next connect.
+ * @param {Server} io - Socket.IO server instance (req.app.get('io'))
+ * @param {string} userId
+ * @param {Object[]} achievements - newlyUnlocked
+ * @param {Object} [options]
+ * @param {boolean} [options.inResponse] - Also returned in the API response to this user
+ */
+async function notifyAchievementUnlocks(io, userId, achievements, { inResponse = false } = {}) {
+  if (!achievements || achievements.length === 0) return;
+
+  const connected = isUserConnected(io, userId);
+  if (!connected && !inResponse) return;
+
+  const unlockedAt = new Date();
+  for (const achievement of achievements) {
+    if (await claimNotification(userId, achievement.id) && connected) {
+      emitToUser(io, userId, 'achievement:unlocked', toUnlockEvent(achievement, unlockedAt));
+    }
+  }
+}
+
+/**
+ * Send unlocks that happened while the user was offline to a newly connected socket
+ * @param {Socket} socket - Authenticated socket (socket.userId)
+ */
+async function deliverPendingAchievements(socket) {
+  try {
+    const pending = await prisma.userAchievement.findMany({
+      where: {
+        userId: socket.userId,
+        isUnlocked: true,
+        notifiedAt: null,
+      },
+      include: { achievement: true },
+      orderBy: { unlockedAt: 'asc' },
+    });
+
+    for (const ua of pending) {
+      if (await claimNotification(socket.userId, ua.achievementId)) {
+        socket.emit('achievement:unlocked', toUnlockEvent(ua.achievement, ua.unlockedAt));
+      }
+    }
+  } catch (error) {
+    console.error('Deliver pending achievements error:', error);
+  }
+}
+
+/**
+ * handleAchievementEvent for route handlers: never throws, so a failed
+ * achievement update doesn't fail the action that triggered it
+ * @param {string} userId
+ * @param {string} event - One of ACHIEVEMENT_EVENTS
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {Server} [options.io] - Socket.IO server instance for unlock notifications
+ * @param {boolean} [options.inResponse] - newlyUnlocked is returned to this user in the response
+ * @returns {Promise<Object|null>} Result, null on failure
+ */
+async function triggerAchievementEvent(userId, event, payload, { io, inResponse = false } = {}) {
+  try {
+    const result = await handleAchievementEvent(userId, event, payload);
+    await notifyAchievementUnlocks(io, userId, result.newlyUnlocked, { inResponse });
+    notifyLevelUps(io, userId, result.xpTransactions);
+    return result;
+  } catch (error) {
+    console.error(`Achievement event ${event} failed (non-critical):`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  checkAchievements,
+  handleAchievementEvent,
+  triggerAchievementEvent,
+  reevaluateAchievements,
+  notifyAchievementUnlocks,
+  deliverPendingAchievements,
+};
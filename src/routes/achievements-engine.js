@@ -0,0 +1,441 @@
+/**
+ * Achievements Engine
+ * Single place where achievement requirements are evaluated
+ * - Registry of requirement types (registerRequirementType)
+ * - Composite requirements: { type: 'all' | 'any', requirements: [...] }
+ * - Dry-run evaluation against hypothetical stats
+ * - Seasonal windows (startsAt/endsAt) and tier order (previousTierId)
+ * - Each type declares the events that can change it, so an event only re-evaluates
+ *   the achievements it affects, and its parameters, so requirements can be validated
+ */
+const { prisma } = require('../config/database');
+const { computeDayStreaks, computeWinStreaks, computeMaxGamesInWindow } = require('./stats-helper');
+
+const COMPOSITE_TYPES = ['all', 'any'];
+
+const GAME_TYPES = ['rubik', 'sudoku', 'caro', 'puzzle'];
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+// Deepest nesting of composite requirements accepted by validateRequirement
+const MAX_REQUIREMENT_DEPTH = 3;
+
+// Domain events that change achievement stats (see handleAchievementEvent)
+const ACHIEVEMENT_EVENTS = [
+  'score_saved', // Approved score(s) recorded: { scores }
+  'score_changed', // Existing scores edited/approved out of order: stats are rebuilt
+  'friend_added',
+  'friend_removed',
+  'post_created',
+  'post_deleted', // { likeCount } of the deleted post
+  'like_received',
+  'like_removed',
+];
+
+const SCORE_EVENTS = ['score_saved', 'score_changed'];
+
+// Map<type, { current(stats, requirement) => number, events: string[], params?: Object, usesHistory?: boolean }>
+const requirementTypes = new Map();
+
+/**
+ * Register a requirement type
+ * @param {string} type - Value of requirement.type
+ * @param {Object} definition
+ * @param {Function} definition.current - (stats, requirement) => value compared against requirement.value
+ * @param {string[]} definition.events - ACHIEVEMENT_EVENTS that can change the value
+ * @param {Object} [definition.params] - Parameters besides value:
+ *   { name: { required?: boolean, values?: string[], min?: number, max?: number } }
+ * @param {boolean} [definition.usesHistory] - Needs the score history (stats.scores) when not precomputed
+ */
+function registerRequirementType(type, definition) {
+  if (COMPOSITE_TYPES.includes(type)) {
+    throw new Error(`Requirement type "${type}" is reserved for composite requirements`);
+  }
+  requirementTypes.set(type, definition);
+}
+
+/**
+ * Requirement type that reads a plain counter from stats
+ */
+const counter = (key, events) => ({ current: (stats) => stats[key] || 0, events });
+
+/**
+ * Key of a games_in_window value in stats.maxGamesInWindow, e.g. "24h" or "24h:sudoku"
+ */
+const windowKey = (requirement) => {
+  const hours = requirement.windowHours || 24;
+  return requirement.gameType ? `${hours}h:${requirement.gameType}` : `${hours}h`;
+};
+
+// ==================== BUILT-IN REQUIREMENT TYPES ====================
+registerRequirementType('total_games', counter('total_games', SCORE_EVENTS));
+registerRequirementType('total_score', counter('total_score', SCORE_EVENTS));
+registerRequirementType('friends_count', counter('friends_count', ['friend_added', 'friend_removed']));
+registerRequirementType('posts_count', counter('posts_count', ['post_created', 'post_deleted']));
+registerRequirementType('total_likes_received', counter('total_likes_received', ['like_received', 'like_removed', 'post_deleted']));
+
+// { type: 'game_high_score', gameType: 'sudoku', value: 500 }
+registerRequirementType('game_high_score', {
+  events: SCORE_EVENTS,
+  params: { gameType: { required: true, values: GAME_TYPES } },
+  current: (stats, requirement) => stats.gameHighScores?.[requirement.gameType] || 0,
+});
+
+// { type: 'games_by_difficulty', difficulty: 'hard', value: 10 }
+registerRequirementType('games_by_difficulty', {
+  events: SCORE_EVENTS,
+  params: { difficulty: { required: true, values: DIFFICULTIES } },
+  current: (stats, requirement) => stats.difficultyCounts?.[requirement.difficulty] || 0,
+});
+
+// { type: 'win_streak', value: 5, gameType?: 'caro' }
+registerRequirementType('win_streak', {
+  events: SCORE_EVENTS,
+  params: { gameType: { values: GAME_TYPES } },
+  usesHistory: true,
+  current: (stats, requirement) => {
+    const precomputed = stats.winStreaks?.[requirement.gameType || 'all'];
+    if (precomputed !== undefined) return precomputed;
+    return stats.scores ? computeWinStreaks(stats.scores, requirement.gameType).longest : 0;
+  },
+});
+
+// { type: 'consecutive_days', value: 7 }
+registerRequirementType('consecutive_days', {
+  events: SCORE_EVENTS,
+  usesHistory: true,
+  current: (stats) => {
+    if (stats.longestDayStreak !== undefined) return stats.longestDayStreak;
+    return stats.scores ? computeDayStreaks(stats.scores.map((score) => score.createdAt)).longest : 0;
+  },
+});
+
+// { type: 'games_in_window', value: 5, windowHours: 24, gameType?: 'sudoku' }
+registerRequirementType('games_in_window', {
+  events: SCORE_EVENTS,
+  params: {
+    windowHours: { min: 1, max: 24 * 30 },
+    gameType: { values: GAME_TYPES },
+  },
+  usesHistory: true,
+  current: (stats, requirement) => {
+    const precomputed = stats.maxGamesInWindow?.[windowKey(requirement)];
+    if (precomputed !== undefined) return precomputed;
+    if (!stats.scores) return 0;
+
+    return computeMaxGamesInWindow(
+      stats.scores
+        .filter((score) => !requirement.gameType || score.gameType === requirement.gameType)
+        .map((score) => score.createdAt),
+      (requirement.windowHours || 24) * 60 * 60 * 1000
+    );
+  },
+});
+
+/**
+ * Evaluate a requirement against a stats object
+ * @param {Object} requirement - Achievement.requirement JSON
+ * @param {Object} stats - From buildUserStats (or hypothetical values for a dry run)
+ * @returns {{ progress: number, isUnlocked: boolean } | null} null for unknown types
+ */
+function evaluateRequirement(requirement, stats) {
+  if (!requirement || typeof requirement !== 'object') return null;
+
+  // Composite: every (all) or at least one (any) child requirement
+  if (COMPOSITE_TYPES.includes(requirement.type)) {
+    const children = Array.isArray(requirement.requirements) ? requirement.requirements : [];
+    const results = children.map((child) => evaluateRequirement(child, stats));
+    if (results.length === 0 || results.includes(null)) return null;
+
+    if (requirement.type === 'all') {
+      return {
+        progress: Math.round(results.reduce((sum, r) => sum + r.progress, 0) / results.length),
+        isUnlocked: results.every((r) => r.isUnlocked),
+      };
+    }
+
+    return {
+      progress: Math.max(...results.map((r) => r.progress)),
+      isUnlocked: results.some((r) => r.isUnlocked),
+    };
+  }
+
+  const definition = requirementTypes.get(requirement.type);
+  if (!definition) return null;
+
+  const current = definition.current(stats, requirement);
+  return {
+    progress: Math.min(100, Math.round((current / requirement.value) * 100)),
+    isUnlocked: current >= requirement.value,
+  };
+}
+
+/**
+ * Check a requirement against the registered types and their parameters
+ * @param {Object} requirement - Achievement.requirement JSON
+ * @param {number} [depth] - Composite nesting level (internal)
+ * @returns {string|null} Error message, null when valid
+ */
+function validateRequirement(requirement, depth = 0) {
+  if (!requirement || typeof requirement !== 'object' || Array.isArray(requirement)) {
+    return 'requirement must be an object';
+  }
+
+  if (COMPOSITE_TYPES.includes(requirement.type)) {
+    if (depth >= MAX_REQUIREMENT_DEPTH) {
+      return `Composite requirements can be nested at most ${MAX_REQUIREMENT_DEPTH} levels deep`;
+    }
+    if (!Array.isArray(requirement.requirements) || requirement.requirements.length === 0) {
+      return `"${requirement.type}" requirement needs a non-empty requirements array`;
+    }
+    for (const child of requirement.requirements) {
+      const error = validateRequirement(child, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  const definition = requirementTypes.get(requirement.type);
+  if (!definition) {
+    return `Unknown requirement type "${requirement.type}". Valid types: ${[...requirementTypes.keys(), ...COMPOSITE_TYPES].join(', ')}`;
+  }
+
+  if (!Number.isInteger(requirement.value) || requirement.value <= 0) {
+    return `"${requirement.type}" requirement needs a positive integer value`;
+  }
+
+  const params = definition.params || {};
+  const unknown = Object.keys(requirement).filter((key) => !['type', 'value', ...Object.keys(params)].includes(key));
+  if (unknown.length > 0) {
+    return `Unknown parameter(s) for "${requirement.type}": ${unknown.join(', ')}`;
+  }
+
+  for (const [name, spec] of Object.entries(params)) {
+    const value = requirement[name];
+    if (value === undefined) {
+      if (spec.required) return `"${requirement.type}" requirement needs ${name}`;
+      continue;
+    }
+    if (spec.values && !spec.values.includes(value)) {
+      return `${name} must be one of: ${spec.values.join(', ')}`;
+    }
+    if (spec.min !== undefined && (!Number.isInteger(value) || value < spec.min || value > spec.max)) {
+      return `${name} must be an integer between ${spec.min} and ${spec.max}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a requirement (or any child of a composite) needs the score history
+ */
+function requirementUsesHistory(requirement) {
+  return flattenRequirement(requirement)
+    .some((leaf) => Boolean(requirementTypes.get(leaf.type)?.usesHistory));
+}
+
+/**
+ * Leaf requirements of a (possibly composite) requirement
+ * @returns {Object[]}
+ */
+function flattenRequirement(requirement) {
+  if (!requirement || typeof requirement !== 'object') return [];
+  if (COMPOSITE_TYPES.includes(requirement.type)) {
+    return (requirement.requirements || []).flatMap(flattenRequirement);
+  }
+  return [requirement];
+}
+
+/**
+ * Events that can change whether a requirement is met
+ * @returns {Set<string>}
+ */
+function getRequirementEvents(requirement) {
+  return new Set(flattenRequirement(requirement).flatMap((leaf) => {
+    const definition = requirementTypes.get(leaf.type);
+    return definition ? definition.events : [];
+  }));
+}
+
+/**
+ * games_in_window windows used by a set of achievements, so their counts can be tracked
+ * @param {Object[]} achievements - Achievement rows
+ * @returns {{ key: string, windowMs: number, gameType?: string }[]}
+ */
+function collectWindowSpecs(achievements) {
+  const specs = new Map();
+  achievements.forEach((achievement) => {
+    flattenRequirement(achievement.requirement)
+      .filter((leaf) => leaf.type === 'games_in_window')
+      .forEach((leaf) => {
+        specs.set(windowKey(leaf), {
+          key: windowKey(leaf),
+          windowMs: (leaf.windowHours || 24) * 60 * 60 * 1000,
+          gameType: leaf.gameType,
+        });
+      });
+  });
+  return [...specs.values()];
+}
+
+/**
+ * Collect the stats every requirement type reads
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeHistory] - Load approved scores (oldest first) into stats.scores
+ * @returns {Promise<Object|null>} null when the user doesn't exist
+ */
+async function buildUserStats(userId, { includeHistory = false } = {}) {
+  const approved = { userId, status: 'approved' }; // Flagged scores don't count
+
+  const [user, friendsCount, postsCount, likes, byGame, byDifficulty, scores] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { totalGamesPlayed: true, totalScore: true },
+    }),
+    prisma.friendship.count({
+      where: {
+        OR: [{ userId1: userId }, { userId2: userId }],
+        isBlocked: false,
+      },
+    }),
+    prisma.post.count({ where: { userId } }),
+    prisma.post.aggregate({
+      where: { userId },
+      _sum: { likeCount: true },
+    }),
+    prisma.gameScore.groupBy({
+      by: ['gameType'],
+      where: approved,
+      _max: { score: true },
+    }),
+    prisma.gameScore.groupBy({
+      by: ['difficulty'],
+      where: approved,
+      _count: { id: true },
+    }),
+    includeHistory
+      ? prisma.gameScore.findMany({
+        where: approved,
+        select: { gameType: true, score: true, isVerified: true, gameData: true, createdAt: true },
+        orderBy: { createdAt: 'asc' },
+      })
+      : null,
+  ]);
+
+  if (!user) return null;
+
+  const stats = {
+    total_games: user.totalGamesPlayed,
+    total_score: user.totalScore,
+    friends_count: friendsCount,
+    posts_count: postsCount,
+    total_likes_received: likes._sum.likeCount || 0,
+    gameHighScores: Object.fromEntries(byGame.map((g) => [g.gameType, g._max.score || 0])),
+    difficultyCounts: Object.fromEntries(byDifficulty.map((d) => [d.difficulty, d._count.id])),
+  };
+
+  if (scores) stats.scores = scores;
+
+  return stats;
+}
+
+/**
+ * Whether a seasonal achievement can be earned at a given time
+ * (always true for achievements without startsAt/endsAt)
+ */
+function isInSeason(achievement, now = new Date()) {
+  if (achievement.startsAt && now < new Date(achievement.startsAt)) return false;
+  if (achievement.endsAt && now >= new Date(achievement.endsAt)) return false;
+  return true;
+}
+
+/**
+ * Order achievements so every tier comes after its previous tier
+ */
+function orderByTier(achievements) {
+  const byId = new Map(achievements.map((a) => [a.id, a]));
+  const depth = (achievement, seen = new Set()) => {
+    const previous = byId.get(achievement.previousTierId);
+    if (!previous || seen.has(previous.id)) return 0;
+    seen.add(achievement.id);
+    return depth(previous, seen) + 1;
+  };
+
+  return achievements
+    .map((achievement, index) => ({ achievement, index, depth: depth(achievement) }))
+    .sort((a, b) => a.depth - b.depth || a.index - b.index)
+    .map(({ achievement }) => achievement);
+}
+
+/**
+ * Add the later tiers of the given achievements (they may become earnable
+ * when an earlier tier unlocks)
+ * @param {Object[]} allAchievements
+ * @param {Object[]} selected
+ * @returns {Object[]}
+ */
+function withNextTiers(allAchievements, selected) {
+  const ids = new Set(selected.map((a) => a.id));
+  let added = true;
+  while (added) {
+    added = false;
+    allAchievements.forEach((achievement) => {
+      if (achievement.previousTierId && ids.has(achievement.previousTierId) && !ids.has(achievement.id)) {
+        ids.add(achievement.id);
+        added = true;
+      }
+    });
+  }
+  return allAchievements.filter((a) => ids.has(a.id));
+}
+
+/**
+ * Evaluate achievements against a stats object without saving anything
+ * Rules on top of the requirement:
+ * - Seasonal achievements are skipped outside their window
+ * - A tier only unlocks once its previous tier is unlocked (earlier in this pass counts)
+ * @param {Object[]} achievements - Achievement rows
+ * @param {Object} stats
+ * @param {Set<string>} [unlockedIds] - Achievements the user already has
+ * @param {Date} [now]
+ * @returns {Object[]} { achievement, progress, isUnlocked, alreadyUnlocked } for known requirement types
+ */
+function evaluateAchievements(achievements, stats, unlockedIds = new Set(), now = new Date()) {
+  const unlocked = new Set(unlockedIds);
+  const results = [];
+
+  orderByTier(achievements).forEach((achievement) => {
+    if (!isInSeason(achievement, now)) return;
+
+    const result = evaluateRequirement(achievement.requirement, stats);
+    if (!result) return;
+
+    const tierReady = !achievement.previousTierId || unlocked.has(achievement.previousTierId);
+    const isUnlocked = unlockedIds.has(achievement.id) || (result.isUnlocked && tierReady);
+    if (isUnlocked) unlocked.add(achievement.id);
+
+    results.push({
+      achievement,
+      progress: result.progress,
+      isUnlocked,
+      alreadyUnlocked: unlockedIds.has(achievement.id),
+    });
+  });
+
+  return results;
+}
+
+module.exports = {
+  ACHIEVEMENT_EVENTS,
+  registerRequirementType,
+  validateRequirement,
+  evaluateRequirement,
+  requirementUsesHistory,
+  getRequirementEvents,
+  collectWindowSpecs,
+  buildUserStats,
+  isInSeason,
+  withNextTiers,
+  evaluateAchievements,
+};
@@ -0,0 +1,105 @@
+/**
+ * Achievement Jobs
+ * Retroactive re-evaluation when admins add or change achievements: every existing
+ * user is checked against them and awarded what they already qualify for
+ * Jobs run in-process in the background; progress is stored on the AchievementJob row
+ */
+const { prisma } = require('../config/database');
+const { reevaluateAchievements } = require('./achievements-checker');
+
+// Users evaluated per batch (and per progress update)
+const JOB_BATCH_SIZE = 100;
+
+/**
+ * Evaluate the job's achievements for every user, in batches by user id
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {Server} [options.io] - For unlock / level-up notifications
+ */
+async function runAchievementJob(jobId, { io } = {}) {
+  try {
+    const job = await prisma.achievementJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'running',
+        startedAt: new Date(),
+        totalUsers: await prisma.user.count(),
+      },
+    });
+
+    // Retired achievements are no longer awarded
+    const achievements = await prisma.achievement.findMany({
+      where: { id: { in: job.achievementIds }, retiredAt: null },
+    });
+
+    let cursor = null;
+    let processedUsers = 0;
+    let unlockedCount = 0;
+
+    while (achievements.length > 0) {
+      const users = await prisma.user.findMany({
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: JOB_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+      if (users.length === 0) break;
+
+      for (const { id } of users) {
+        try {
+          const result = await reevaluateAchievements(id, achievements, { io });
+          unlockedCount += result.newlyUnlocked.length;
+        } catch (error) {
+          // One user failing (e.g. deleted meanwhile) doesn't stop the job
+          console.error(`Achievement job ${jobId}: user ${id} failed:`, error.message);
+        }
+      }
+
+      processedUsers += users.length;
+      cursor = users[users.length - 1].id;
+
+      await prisma.achievementJob.update({
+        where: { id: jobId },
+        data: { processedUsers, unlockedCount },
+      });
+    }
+
+    await prisma.achievementJob.update({
+      where: { id: jobId },
+      data: { status: 'completed', finishedAt: new Date() },
+    });
+  } catch (error) {
+    console.error(`Achievement job ${jobId} failed:`, error);
+    await prisma.achievementJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'failed',
+        error: String(error.message).slice(0, 500),
+        finishedAt: new Date(),
+      },
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Queue a re-evaluation job and start it after the current request
+ * @param {string[]} achievementIds
+ * @param {Object} [options]
+ * @param {string} [options.createdBy] - Admin user ID
+ * @param {Server} [options.io] - For unlock / level-up notifications
+ * @returns {Promise<Object>} AchievementJob (status queued)
+ */
+async function startAchievementJob(achievementIds, { createdBy, io } = {}) {
+  const job = await prisma.achievementJob.create({
+    data: { achievementIds, createdBy },
+  });
+
+  setImmediate(() => runAchievementJob(job.id, { io }));
+
+  return job;
+}
+
+module.exports = {
+  runAchievementJob,
+  startAchievementJob,
+};
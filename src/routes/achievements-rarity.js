@@ -0,0 +1,119 @@
+/**
+ * Achievements Rarity
+ * Share of active users who unlocked each achievement, cached on the Achievement row
+ * (unlockCount, unlockRate, rarityUpdatedAt) and recomputed at most once per RARITY_TTL
+ */
+const { prisma } = require('../config/database');
+
+// Users who logged in within this many days count as active
+const ACTIVE_USER_DAYS = parseInt(process.env.RARITY_ACTIVE_DAYS, 10) || 30;
+
+// How long cached rates are used before they are recomputed
+const RARITY_TTL = (parseInt(process.env.RARITY_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Rarest first: a badge gets the first tier whose maxRate (percent) it is below
+const RARITY_TIERS = [
+  { tier: 'legendary', maxRate: 1 },
+  { tier: 'epic', maxRate: 5 },
+  { tier: 'rare', maxRate: 20 },
+  { tier: 'uncommon', maxRate: 50 },
+  { tier: 'common', maxRate: Infinity },
+];
+
+/**
+ * Rarity tier for an unlock rate
+ * @param {number} unlockRate - Percent of active users (0-100)
+ * @returns {string} legendary | epic | rare | uncommon | common
+ */
+function getRarityTier(unlockRate) {
+  return RARITY_TIERS.find(({ maxRate }) => unlockRate < maxRate).tier;
+}
+
+/**
+ * Rarity block added to achievements in API responses
+ */
+function describeRarity(achievement) {
+  return {
+    unlockCount: achievement.unlockCount,
+    unlockRate: achievement.unlockRate,
+    tier: getRarityTier(achievement.unlockRate),
+    updatedAt: achievement.rarityUpdatedAt,
+  };
+}
+
+/**
+ * Recompute unlock counts and rates for every achievement
+ * @returns {Promise<{ activeUsers: number, updated: number }>}
+ */
+async function refreshAchievementRarity() {
+  const since = new Date(Date.now() - ACTIVE_USER_DAYS * 24 * 60 * 60 * 1000);
+
+  const [activeUsers, counts, achievements] = await Promise.all([
+    prisma.user.count({
+      where: { lastLoginAt: { gte: since } },
+    }),
+    prisma.userAchievement.groupBy({
+      by: ['achievementId'],
+      where: {
+        isUnlocked: true,
+        user: { lastLoginAt: { gte: since } },
+      },
+      _count: { _all: true },
+    }),
+    prisma.achievement.findMany({ select: { id: true } }),
+  ]);
+
+  const countMap = new Map(counts.map((c) => [c.achievementId, c._count._all]));
+  const now = new Date();
+
+  await prisma.$transaction(achievements.map(({ id }) => {
+    const unlockCount = countMap.get(id) || 0;
+    return prisma.achievement.update({
+      where: { id },
+      data: {
+        unlockCount,
+        unlockRate: activeUsers > 0 ? Math.round((unlockCount / activeUsers) * 10000) / 100 : 0,
+        rarityUpdatedAt: now,
+      },
+    });
+  }));
+
+  return { activeUsers, updated: achievements.length };
+}
+
+// One refresh at a time per process
+let refreshing = null;
+
+/**
+ * Refresh cached rarity if any achievement is older than RARITY_TTL (or never computed)
+ * Failures are logged, callers keep serving the previous numbers
+ */
+async function ensureRarityFresh() {
+  const stale = await prisma.achievement.count({
+    where: {
+      OR: [
+        { rarityUpdatedAt: null },
+        { rarityUpdatedAt: { lt: new Date(Date.now() - RARITY_TTL) } },
+      ],
+    },
+  });
+  if (stale === 0) return;
+
+  if (!refreshing) {
+    refreshing = refreshAchievementRarity()
+      .catch((error) => console.error('Refresh achievement rarity error:', error))
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  await refreshing;
+}
+
+module.exports = {
+  RARITY_TIERS,
+  getRarityTier,
+  describeRarity,
+  refreshAchievementRarity,
+  ensureRarityFresh,
+};
@@ -5,32 +5,105 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken: authenticate } = require('../middleware/auth');
+const { authenticateToken: authenticate, optionalAuthenticate, requireRole } = require('../middleware/auth');
+const { checkAchievements, notifyAchievementUnlocks } = require('./achievements-checker');
+const { notifyLevelUps } = require('./xp-ledger');
+const {
+  validateRequirement,
+  buildUserStats,
+  requirementUsesHistory,
+  withNextTiers,
+  evaluateAchievements,
+} = require('./achievements-engine');
+const { describeRarity, ensureRarityFresh } = require('./achievements-rarity');
+const { startAchievementJob } = require('./achievements-jobs');
 const prisma = new PrismaClient();
 
+// Include for the ID of the next tier (the back side of previousTierId)
+const WITH_NEXT_TIER = { nextTier: { select: { id: true } } };
+
+const DEFAULT_RAREST_LIMIT = 5;
+const MAX_RAREST_LIMIT = 20;
+
+const ACHIEVEMENT_CATEGORIES = ['general', 'games', 'social', 'milestone'];
+const ACHIEVEMENT_TIERS = ['bronze', 'silver', 'gold'];
+
+/**
+ * Achievement as shown to users
+ * Secret achievements keep name, description and requirement hidden until revealed
+ * Cached rarity columns are grouped under `rarity`
+ * @param {Object} achievement - Achievement row (optionally with nextTier)
+ * @param {boolean} revealed - The user being shown has unlocked it
+ */
+const presentAchievement = (achievement, revealed) => {
+  const { nextTier, unlockCount, unlockRate, rarityUpdatedAt, ...data } = achievement;
+  if (nextTier !== undefined) data.nextTierId = nextTier ? nextTier.id : null;
+  data.rarity = describeRarity(achievement);
+
+  if (!achievement.isSecret || revealed) return data;
+
+  return {
+    ...data,
+    name: 'Secret Achievement',
+    description: 'Keep playing to discover this achievement',
+    icon: '❓',
+    requirement: null,
+  };
+};
+
+/**
+ * Whether an achievement is listed
+ * Seasonal achievements appear once their season starts; after it ends only for
+ * users who earned them. Retired achievements are only listed for users who earned them
+ */
+const isListed = (achievement, unlocked, now = new Date()) => {
+  if (achievement.retiredAt) return unlocked;
+  if (achievement.startsAt && now < achievement.startsAt) return false;
+  if (achievement.endsAt && now >= achievement.endsAt) return unlocked;
+  return true;
+};
+
 // ==================== GET ALL ACHIEVEMENTS ====================
 /**
  * GET /api/achievements
  * Get all achievements with optional category filter
+ * Secret achievements are masked unless the (optional) authenticated user unlocked them
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
     const { category } = req.query;
 
     const where = {};
     if (category) where.category = category;
 
-    const achievements = await prisma.achievement.findMany({
-      where,
-      orderBy: [
-        { category: 'asc' },
-        { order: 'asc' },
-      ],
-    });
+    await ensureRarityFresh();
+
+    const [achievements, unlocked] = await Promise.all([
+      prisma.achievement.findMany({
+        where,
+        include: WITH_NEXT_TIER,
+        orderBy: [
+          { category: 'asc' },
+          { order: 'asc' },
+        ],
+      }),
+      req.user
+        ? prisma.userAchievement.findMany({
+          where: { userId: req.user.id, isUnlocked: true },
+          select: { achievementId: true },
+        })
+        : [],
+    ]);
+
+    const unlockedIds = new Set(unlocked.map(ua => ua.achievementId));
 
     res.json({
       success: true,
-      data: { achievements },
+      data: {
+        achievements: achievements
+          .filter(achievement => isListed(achievement, unlockedIds.has(achievement.id)))
+          .map(achievement => presentAchievement(achievement, unlockedIds.has(achievement.id))),
+      },
     });
   } catch (error) {
     console.error('Get achievements error:', error);
@@ -50,8 +123,11 @@ router.get('/user/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
 
+    await ensureRarityFresh();
+
     // Get all achievements
     const allAchievements = await prisma.achievement.findMany({
+      include: WITH_NEXT_TIER,
       orderBy: [
         { category: 'asc' },
         { order: 'asc' },
@@ -71,21 +147,24 @@ router.get('/user/:userId', async (req, res) => {
       userAchievements.map(ua => [ua.achievementId, ua])
     );
 
-    // Combine all achievements with user's progress
-    const achievementsWithProgress = allAchievements.map(achievement => {
-      const userAchievement = userAchievementMap.get(achievement.id);
-
-      return {
-        ...achievement,
-        progress: userAchievement?.progress || 0,
-        isUnlocked: userAchievement?.isUnlocked || false,
-        unlockedAt: userAchievement?.unlockedAt || null,
-      };
-    });
+    // Combine listed achievements with user's progress (secrets revealed once unlocked)
+    const achievementsWithProgress = allAchievements
+      .filter(achievement => isListed(achievement, Boolean(userAchievementMap.get(achievement.id)?.isUnlocked)))
+      .map(achievement => {
+        const userAchievement = userAchievementMap.get(achievement.id);
+        const isUnlocked = userAchievement?.isUnlocked || false;
+
+        return {
+          ...presentAchievement(achievement, isUnlocked),
+          progress: userAchievement?.progress || 0,
+          isUnlocked,
+          unlockedAt: userAchievement?.unlockedAt || null,
+        };
+      });
 
     // Calculate stats
     const stats = {
-      total: allAchievements.length,
+      total: achievementsWithProgress.length,
       unlocked: userAchievements.filter(ua => ua.isUnlocked).length,
       totalPoints: userAchievements
         .filter(ua => ua.isUnlocked)
@@ -108,6 +187,53 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+// ==================== RAREST USER ACHIEVEMENTS ====================
+/**
+ * GET /api/achievements/user/:userId/rarest?limit=5
+ * The user's unlocked achievements with the lowest unlock rate among active users
+ * (achievements held by no active user are left out)
+ */
+router.get('/user/:userId/rarest', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_RAREST_LIMIT, 1),
+      MAX_RAREST_LIMIT
+    );
+
+    await ensureRarityFresh();
+
+    // Badges no active user holds have a 0% rate that says nothing about rarity
+    const userAchievements = await prisma.userAchievement.findMany({
+      where: { userId, isUnlocked: true, achievement: { unlockCount: { gt: 0 } } },
+      include: {
+        achievement: { include: WITH_NEXT_TIER },
+      },
+      orderBy: [
+        { achievement: { unlockRate: 'asc' } },
+        { unlockedAt: 'asc' },
+      ],
+      take: limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        achievements: userAchievements.map(ua => ({
+          ...presentAchievement(ua.achievement, true),
+          unlockedAt: ua.unlockedAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get rarest achievements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rarest achievements',
+    });
+  }
+});
+
 // ==================== CHECK AND UNLOCK ACHIEVEMENTS ====================
 /**
  * POST /api/achievements/check
@@ -116,179 +242,119 @@ router.get('/user/:userId', async (req, res) => {
  */
 router.post('/check', authenticate, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const result = await checkAchievements(req.user.id);
 
-    // Fetch user data
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      include: {
-        gameScores: true,
-        friendships1: true,
-        friendships2: true,
-        posts: true,
-        likes: true,
-      },
+    // Returned below; also pushed to the user's other connected devices
+    await notifyAchievementUnlocks(req.app.get('io'), req.user.id, result.newlyUnlocked, {
+      inResponse: true,
     });
+    notifyLevelUps(req.app.get('io'), req.user.id, result.xpTransactions);
 
-    if (!user) {
+    res.json({
+      success: true,
+      message: `Checked ${result.totalChecked} achievements`,
+      data: {
+        newlyUnlocked: result.newlyUnlocked,
+        totalChecked: result.totalChecked,
+        totalUpdated: result.totalUpdated,
+      },
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
       return res.status(404).json({
         success: false,
         message: 'User not found',
       });
     }
 
-    // Calculate user stats
-    const stats = {
-      total_games: user.totalGamesPlayed,
-      total_score: user.totalScore,
-      friends_count: user.friendships1.length + user.friendships2.length,
-      posts_count: user.posts.length,
-      total_likes_received: user.posts.reduce((sum, post) => sum + post.likeCount, 0),
-    };
-
-    // Calculate game-specific stats
-    const gameStats = {};
-    user.gameScores.forEach(score => {
-      if (!gameStats[score.gameType]) {
-        gameStats[score.gameType] = { highScore: 0, count: 0 };
-      }
-      gameStats[score.gameType].highScore = Math.max(
-        gameStats[score.gameType].highScore,
-        score.score
-      );
-      gameStats[score.gameType].count++;
+    console.error('Check achievements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check achievements',
     });
+  }
+});
 
-    // Calculate difficulty stats
-    const difficultyStats = {};
-    user.gameScores.forEach(score => {
-      difficultyStats[score.difficulty] = (difficultyStats[score.difficulty] || 0) + 1;
-    });
+// ==================== DRY RUN ====================
+/**
+ * POST /api/achievements/dry-run
+ * Report which achievements a hypothetical stat set would unlock (nothing is saved)
+ * Body: {
+ *   stats: { total_games?, total_score?, friends_count?, posts_count?, total_likes_received?,
+ *            gameHighScores?: { sudoku: 500 }, difficultyCounts?: { hard: 10 },
+ *            winStreaks?: { all: 5, caro: 3 }, longestDayStreak?, maxGamesInWindow?: { '24h': 5, '24h:sudoku': 2 } },
+ *   useCurrentStats?: boolean  // default true: start from the caller's real stats and override
+ * }
+ */
+router.post('/dry-run', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { stats: overrides, useCurrentStats = true } = req.body;
 
-    // Get all achievements
-    const achievements = await prisma.achievement.findMany();
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return res.status(400).json({
+        success: false,
+        message: 'stats must be an object',
+      });
+    }
 
-    // Get existing user achievements
-    const existingUserAchievements = await prisma.userAchievement.findMany({
-      where: { userId },
+    const achievements = await prisma.achievement.findMany({
+      where: { retiredAt: null },
+      orderBy: { order: 'asc' },
     });
 
-    const existingMap = new Map(
-      existingUserAchievements.map(ua => [ua.achievementId, ua])
-    );
-
-    const newlyUnlocked = [];
-    const updates = [];
-
-    for (const achievement of achievements) {
-      const existing = existingMap.get(achievement.id);
-      const req = achievement.requirement;
-
-      let progress = 0;
-      let isUnlocked = false;
-
-      // Calculate progress based on requirement type
-      switch (req.type) {
-        case 'total_games':
-          progress = Math.min(100, Math.round((stats.total_games / req.value) * 100));
-          isUnlocked = stats.total_games >= req.value;
-          break;
-
-        case 'total_score':
-          progress = Math.min(100, Math.round((stats.total_score / req.value) * 100));
-          isUnlocked = stats.total_score >= req.value;
-          break;
-
-        case 'game_high_score':
-          const gameHighScore = gameStats[req.gameType]?.highScore || 0;
-          progress = Math.min(100, Math.round((gameHighScore / req.value) * 100));
-          isUnlocked = gameHighScore >= req.value;
-          break;
-
-        case 'friends_count':
-          progress = Math.min(100, Math.round((stats.friends_count / req.value) * 100));
-          isUnlocked = stats.friends_count >= req.value;
-          break;
-
-        case 'posts_count':
-          progress = Math.min(100, Math.round((stats.posts_count / req.value) * 100));
-          isUnlocked = stats.posts_count >= req.value;
-          break;
-
-        case 'total_likes_received':
-          progress = Math.min(100, Math.round((stats.total_likes_received / req.value) * 100));
-          isUnlocked = stats.total_likes_received >= req.value;
-          break;
-
-        case 'games_by_difficulty':
-          const difficultyCount = difficultyStats[req.difficulty] || 0;
-          progress = Math.min(100, Math.round((difficultyCount / req.value) * 100));
-          isUnlocked = difficultyCount >= req.value;
-          break;
-
-        default:
-          continue;
-      }
-
-      // Create or update user achievement
-      if (!existing) {
-        updates.push(
-          prisma.userAchievement.create({
-            data: {
-              userId,
-              achievementId: achievement.id,
-              progress,
-              isUnlocked,
-              unlockedAt: isUnlocked ? new Date() : null,
-            },
-          })
-        );
-
-        if (isUnlocked) {
-          newlyUnlocked.push(achievement);
-        }
-      } else if (!existing.isUnlocked && isUnlocked) {
-        updates.push(
-          prisma.userAchievement.update({
-            where: { id: existing.id },
-            data: {
-              progress,
-              isUnlocked: true,
-              unlockedAt: new Date(),
-            },
-          })
-        );
-
-        newlyUnlocked.push(achievement);
-      } else if (existing.progress !== progress) {
-        updates.push(
-          prisma.userAchievement.update({
-            where: { id: existing.id },
-            data: { progress },
-          })
-        );
-      }
+    let stats = {};
+    let unlockedIds = new Set();
+
+    if (useCurrentStats) {
+      const [current, unlocked] = await Promise.all([
+        buildUserStats(userId, {
+          includeHistory: achievements.some((a) => requirementUsesHistory(a.requirement)),
+        }),
+        prisma.userAchievement.findMany({
+          where: { userId, isUnlocked: true },
+          select: { achievementId: true },
+        }),
+      ]);
+
+      stats = current || {};
+      unlockedIds = new Set(unlocked.map((ua) => ua.achievementId));
     }
 
-    // Execute all updates
-    if (updates.length > 0) {
-      await prisma.$transaction(updates);
-    }
+    // Per-key maps (gameHighScores, winStreaks, ...) are merged, everything else replaced
+    const hypothetical = { ...stats };
+    Object.entries(overrides).forEach(([key, value]) => {
+      const isMap = value && typeof value === 'object' && !Array.isArray(value);
+      hypothetical[key] = isMap ? { ...(stats[key] || {}), ...value } : value;
+    });
+
+    // Secrets stay masked: a dry run must not reveal them
+    const results = evaluateAchievements(achievements, hypothetical, unlockedIds).map((r) => ({
+      ...r,
+      achievement: presentAchievement(r.achievement, r.alreadyUnlocked),
+    }));
+    const wouldUnlock = results.filter((r) => r.isUnlocked && !r.alreadyUnlocked);
 
     res.json({
       success: true,
-      message: `Checked ${achievements.length} achievements`,
+      message: `${wouldUnlock.length} achievements would be unlocked`,
       data: {
-        newlyUnlocked,
+        wouldUnlock: wouldUnlock.map((r) => r.achievement),
+        results: results.map((r) => ({
+          achievementId: r.achievement.id,
+          name: r.achievement.name,
+          progress: r.progress,
+          isUnlocked: r.isUnlocked,
+          alreadyUnlocked: r.alreadyUnlocked,
+        })),
         totalChecked: achievements.length,
-        totalUpdated: updates.length,
       },
     });
   } catch (error) {
-    console.error('Check achievements error:', error);
+    console.error('Achievements dry run error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to check achievements',
+      message: 'Failed to run achievements dry run',
     });
   }
 });
@@ -357,4 +423,363 @@ router.get('/stats', authenticate, async (req, res) => {
   }
 });
 
+// ==================== ADMIN ====================
+/**
+ * Validate and normalize an achievement body from an admin request
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Edit: only the fields present are validated
+ * @returns {{ data?: Object, error?: string }}
+ */
+const parseAchievementInput = (body, partial) => {
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+
+  const strings = { name: 100, description: 500, icon: 100 };
+  for (const [field, maxLength] of Object.entries(strings)) {
+    if (!has(field)) {
+      if (!partial) return { error: `${field} is required` };
+      continue;
+    }
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!value || value.length > maxLength) {
+      return { error: `${field} must be a non-empty string of at most ${maxLength} characters` };
+    }
+    data[field] = value;
+  }
+
+  if (has('category') || !partial) {
+    if (!ACHIEVEMENT_CATEGORIES.includes(body.category)) {
+      return { error: `category must be one of: ${ACHIEVEMENT_CATEGORIES.join(', ')}` };
+    }
+    data.category = body.category;
+  }
+
+  if (has('requirement') || !partial) {
+    const error = validateRequirement(body.requirement);
+    if (error) return { error };
+    data.requirement = body.requirement;
+  }
+
+  for (const field of ['points', 'order']) {
+    if (!has(field)) continue;
+    if (!Number.isInteger(body[field]) || body[field] < 0) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+    data[field] = body[field];
+  }
+
+  if (has('isSecret')) {
+    if (typeof body.isSecret !== 'boolean') return { error: 'isSecret must be a boolean' };
+    data.isSecret = body.isSecret;
+  }
+
+  if (has('tier')) {
+    if (body.tier !== null && !ACHIEVEMENT_TIERS.includes(body.tier)) {
+      return { error: `tier must be null or one of: ${ACHIEVEMENT_TIERS.join(', ')}` };
+    }
+    data.tier = body.tier;
+  }
+
+  if (has('previousTierId')) {
+    if (body.previousTierId !== null && typeof body.previousTierId !== 'string') {
+      return { error: 'previousTierId must be an achievement ID or null' };
+    }
+    data.previousTierId = body.previousTierId;
+  }
+
+  for (const field of ['startsAt', 'endsAt']) {
+    if (!has(field)) continue;
+    const date = body[field] === null ? null : new Date(body[field]);
+    if (date && Number.isNaN(date.getTime())) return { error: `${field} must be a date or null` };
+    data[field] = date;
+  }
+
+  return { data };
+};
+
+/**
+ * Check the tier chain and season of an achievement about to be saved
+ * @param {string|null} achievementId - null when creating
+ * @param {Object} merged - The achievement's fields after the change
+ * @returns {Promise<string|null>} Error message, null when valid
+ */
+const checkTierAndSeason = async (achievementId, merged) => {
+  if (merged.startsAt && merged.endsAt && merged.startsAt >= merged.endsAt) {
+    return 'endsAt must be after startsAt';
+  }
+
+  // Walk back the chain: the previous tier must exist, be active and not lead back here
+  let previousId = merged.previousTierId;
+  while (previousId) {
+    if (previousId === achievementId) return 'Tier chain cannot contain a cycle';
+
+    const previous = await prisma.achievement.findUnique({
+      where: { id: previousId },
+      select: { id: true, previousTierId: true, retiredAt: true },
+    });
+    if (!previous) return 'Previous tier not found';
+    if (previous.retiredAt && previous.id === merged.previousTierId) {
+      return 'Previous tier is retired';
+    }
+
+    previousId = previous.previousTierId;
+  }
+
+  return null;
+};
+
+/**
+ * Re-evaluate achievements (and their later tiers) for every user in the background
+ */
+const queueReevaluation = async (req, achievementIds) => {
+  const all = await prisma.achievement.findMany({
+    where: { retiredAt: null },
+    select: { id: true, previousTierId: true },
+  });
+
+  const affected = withNextTiers(all, all.filter(a => achievementIds.includes(a.id)));
+  if (affected.length === 0) return null;
+
+  return startAchievementJob(affected.map(a => a.id), {
+    createdBy: req.user.id,
+    io: req.app.get('io'),
+  });
+};
+
+const duplicateAchievementResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'An achievement with this name already exists, or the previous tier already has a next tier',
+});
+
+/**
+ * POST /api/achievements
+ * Create an achievement (ADMIN)
+ * Body: { name, description, icon, category, requirement, points?, order?, isSecret?,
+ *         tier?, previousTierId?, startsAt?, endsAt? }
+ * Existing users who already qualify are awarded it by a background job (data.job)
+ */
+router.post('/', authenticate, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { data, error } = parseAchievementInput(req.body, false);
+    const tierError = error || await checkTierAndSeason(null, data);
+
+    if (tierError) {
+      return res.status(400).json({
+        success: false,
+        message: tierError,
+      });
+    }
+
+    const achievement = await prisma.achievement.create({ data });
+    const job = await queueReevaluation(req, [achievement.id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Achievement created',
+      data: {
+        achievement: presentAchievement(achievement, true),
+        job,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return duplicateAchievementResponse(res);
+
+    console.error('Create achievement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create achievement',
+    });
+  }
+});
+
+/**
+ * PUT /api/achievements/reorder
+ * Set the display order (ADMIN)
+ * Body: { achievementIds: string[] } - each achievement gets its index as order
+ */
+router.put('/reorder', authenticate, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { achievementIds } = req.body;
+
+    if (!Array.isArray(achievementIds) || achievementIds.length === 0
+      || new Set(achievementIds).size !== achievementIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'achievementIds must be a non-empty array of unique IDs',
+      });
+    }
+
+    const found = await prisma.achievement.count({
+      where: { id: { in: achievementIds } },
+    });
+    if (found !== achievementIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some achievements were not found',
+      });
+    }
+
+    await prisma.$transaction(achievementIds.map((id, order) =>
+      prisma.achievement.update({
+        where: { id },
+        data: { order },
+      })
+    ));
+
+    res.json({
+      success: true,
+      message: `Reordered ${achievementIds.length} achievements`,
+    });
+  } catch (error) {
+    console.error('Reorder achievements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder achievements',
+    });
+  }
+});
+
+/**
+ * PUT /api/achievements/:achievementId
+ * Edit an achievement (ADMIN)
+ * Body: any field accepted by POST /api/achievements
+ * Changing the requirement, tier chain or season re-evaluates existing users (data.job)
+ */
+router.put('/:achievementId', authenticate, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { achievementId } = req.params;
+
+    const existing = await prisma.achievement.findUnique({
+      where: { id: achievementId },
+    });
+
+    if (!existing || existing.retiredAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achievement not found',
+      });
+    }
+
+    const { data, error } = parseAchievementInput(req.body, true);
+    const tierError = error || await checkTierAndSeason(achievementId, { ...existing, ...data });
+
+    if (tierError) {
+      return res.status(400).json({
+        success: false,
+        message: tierError,
+      });
+    }
+
+    const achievement = await prisma.achievement.update({
+      where: { id: achievementId },
+      data,
+      include: WITH_NEXT_TIER,
+    });
+
+    const rulesChanged = ['requirement', 'previousTierId', 'startsAt', 'endsAt']
+      .some(field => data[field] !== undefined);
+    const job = rulesChanged ? await queueReevaluation(req, [achievementId]) : null;
+
+    res.json({
+      success: true,
+      message: 'Achievement updated',
+      data: {
+        achievement: presentAchievement(achievement, true),
+        job,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return duplicateAchievementResponse(res);
+
+    console.error('Update achievement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update achievement',
+    });
+  }
+});
+
+/**
+ * DELETE /api/achievements/:achievementId
+ * Retire an achievement (ADMIN)
+ * It is no longer earned or listed; users who unlocked it keep it. Its next tier
+ * is linked to its previous tier so the chain stays earnable.
+ */
+router.delete('/:achievementId', authenticate, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const { achievementId } = req.params;
+
+    const achievement = await prisma.achievement.findUnique({
+      where: { id: achievementId },
+      include: WITH_NEXT_TIER,
+    });
+
+    if (!achievement || achievement.retiredAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Achievement not found',
+      });
+    }
+
+    const { nextTier } = achievement;
+    await prisma.$transaction([
+      prisma.achievement.update({
+        where: { id: achievementId },
+        data: { retiredAt: new Date(), previousTierId: null },
+      }),
+      ...(nextTier ? [
+        prisma.achievement.update({
+          where: { id: nextTier.id },
+          data: { previousTierId: achievement.previousTierId },
+        }),
+      ] : []),
+    ]);
+
+    // The next tier no longer waits for this one
+    const job = nextTier ? await queueReevaluation(req, [nextTier.id]) : null;
+
+    res.json({
+      success: true,
+      message: 'Achievement retired',
+      data: { job },
+    });
+  } catch (error) {
+    console.error('Retire achievement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retire achievement',
+    });
+  }
+});
+
+/**
+ * GET /api/achievements/jobs/:jobId
+ * Progress of a re-evaluation job (ADMIN)
+ */
+router.get('/jobs/:jobId', authenticate, requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const job = await prisma.achievementJob.findUnique({
+      where: { id: req.params.jobId },
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job },
+    });
+  } catch (error) {
+    console.error('Get achievement job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch achievement job',
+    });
+  }
+});
+
 module.exports = router;
@@ -2,7 +2,9 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
-const { authenticateToken: authenticate } = require('../middleware/auth');
+const { authenticateToken: authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { getLevelSummary } = require('./xp-ledger');
+const { getFollowCounts, getFollowStatus } = require('./follow-helper');
 
 const router = express.Router();
 
@@ -190,10 +192,23 @@ router.post('/login', async (req, res) => {
  */
 router.get('/me', authenticate, async (req, res) => {
   try {
+    const [{ level, recentLevelUps }, follows, followRequests] = await Promise.all([
+      getLevelSummary(req.user),
+      getFollowCounts(req.userId),
+      prisma.follow.count({ where: { followingId: req.userId, status: 'pending' } }),
+    ]);
+
     res.json({
       success: true,
       data: {
-        user: req.user,
+        user: {
+          ...req.user,
+          followersCount: follows.followers,
+          followingCount: follows.following,
+          followRequestsCount: followRequests,
+        },
+        level,
+        recentLevelUps,
       },
     });
   } catch (error) {
@@ -333,13 +348,72 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/profile/:userId
+ * Public profile of a user (stats, level and follow counts)
+ * Signed-in viewers also get followStatus: none, pending or accepted
+ */
+router.get('/profile/:userId', optionalAuthenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.userId },
+      select: {
+        id: true,
+        username: true,
+        avatarUrl: true,
+        isPrivate: true,
+        totalGamesPlayed: true,
+        totalScore: true,
+        xp: true,
+        level: true,
+        createdAt: true,
+      },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const viewerId = req.user && req.user.id !== user.id ? req.user.id : null;
+    const [{ level, recentLevelUps }, follows, followStatus] = await Promise.all([
+      getLevelSummary(user),
+      getFollowCounts(user.id),
+      viewerId ? getFollowStatus(viewerId, user.id) : null,
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          ...user,
+          followersCount: follows.followers,
+          followingCount: follows.following,
+        },
+        followStatus,
+        level,
+        recentLevelUps,
+      },
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+});
+
 /**
  * PUT /api/auth/profile
- * Update user profile (username, avatarUrl)
+ * Update user profile (username, avatarUrl, isPrivate)
+ * Making a private account public accepts its pending follow requests
  */
 router.put('/profile', authenticate, async (req, res) => {
   try {
-    const { username, avatarUrl } = req.body;
+    const { username, avatarUrl, isPrivate } = req.body;
 
     // Build update data
     const updateData = {};
@@ -375,6 +449,17 @@ router.put('/profile', authenticate, async (req, res) => {
       updateData.avatarUrl = avatarUrl;
     }
 
+    if (isPrivate !== undefined) {
+      if (typeof isPrivate !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'isPrivate must be a boolean',
+        });
+      }
+
+      updateData.isPrivate = isPrivate;
+    }
+
     // Check if there's anything to update
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
@@ -383,21 +468,30 @@ router.put('/profile', authenticate, async (req, res) => {
       });
     }
 
-    // Update user
-    const updatedUser = await prisma.user.update({
-      where: { id: req.userId },
-      data: updateData,
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        avatarUrl: true,
-        totalGamesPlayed: true,
-        totalScore: true,
-        createdAt: true,
-        lastLoginAt: true,
-      },
-    });
+    // Update user (going public: pending follow requests become follows)
+    const [updatedUser] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: req.userId },
+        data: updateData,
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          avatarUrl: true,
+          isPrivate: true,
+          totalGamesPlayed: true,
+          totalScore: true,
+          createdAt: true,
+          lastLoginAt: true,
+        },
+      }),
+      ...(isPrivate === false ? [
+        prisma.follow.updateMany({
+          where: { followingId: req.userId, status: 'pending' },
+          data: { status: 'accepted', acceptedAt: new Date() },
+        }),
+      ] : []),
+    ]);
 
     res.json({
       success: true,
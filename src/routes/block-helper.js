@@ -0,0 +1,44 @@
+/**
+ * Block Helper
+ * A block works both ways: neither user sees the other's posts, comments or search
+ * results, and neither can send the other friend requests, messages, follows or invites
+ */
+const { prisma } = require('../config/database');
+
+/**
+ * IDs of users the user blocked or was blocked by
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+async function getBlockedUserIds(userId) {
+  const blocks = await prisma.userBlock.findMany({
+    where: {
+      OR: [{ blockerId: userId }, { blockedId: userId }],
+    },
+    select: { blockerId: true, blockedId: true },
+  });
+
+  return blocks.map((block) => (block.blockerId === userId ? block.blockedId : block.blockerId));
+}
+
+/**
+ * Whether either user has blocked the other
+ */
+async function isBlockedBetween(userIdA, userIdB) {
+  const block = await prisma.userBlock.findFirst({
+    where: {
+      OR: [
+        { blockerId: userIdA, blockedId: userIdB },
+        { blockerId: userIdB, blockedId: userIdA },
+      ],
+    },
+    select: { id: true },
+  });
+
+  return Boolean(block);
+}
+
+module.exports = {
+  getBlockedUserIds,
+  isBlockedBetween,
+};
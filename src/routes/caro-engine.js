@@ -0,0 +1,112 @@
+/**
+ * Caro Engine
+ * Rules of two-player caro (gomoku) on a square board:
+ * X moves first, players alternate, five or more in a row (any direction) wins,
+ * a full board is a draw
+ */
+
+const BOARD_SIZE = 15;
+const WIN_LENGTH = 5;
+
+const SYMBOLS = ['X', 'O'];
+
+// Row, column, and both diagonals
+const DIRECTIONS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+/**
+ * Board from the move list
+ * @param {Object[]} moves - [{ x, y, symbol }] in play order
+ * @param {number} [size]
+ * @returns {(string|null)[][]} board[y][x]
+ */
+function buildBoard(moves, size = BOARD_SIZE) {
+  const board = Array.from({ length: size }, () => Array(size).fill(null));
+  moves.forEach(({ x, y, symbol }) => {
+    board[y][x] = symbol;
+  });
+  return board;
+}
+
+/**
+ * Symbol whose turn it is after a number of moves
+ */
+const symbolToMove = (moveCount) => SYMBOLS[moveCount % 2];
+
+/**
+ * Check a move against the board
+ * @returns {string|null} Error message, null when legal
+ */
+function validateMove(board, x, y) {
+  const size = board.length;
+  if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= size || y >= size) {
+    return `x and y must be integers between 0 and ${size - 1}`;
+  }
+  if (board[y][x]) {
+    return 'Cell is already taken';
+  }
+  return null;
+}
+
+/**
+ * Winning line through the last move
+ * @param {(string|null)[][]} board - Board including the move
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ x: number, y: number }[]|null} Cells of the line, null when the move doesn't win
+ */
+function findWinningLine(board, x, y) {
+  const symbol = board[y][x];
+  const size = board.length;
+  const matches = (cx, cy) => cx >= 0 && cy >= 0 && cx < size && cy < size && board[cy][cx] === symbol;
+
+  for (const [dx, dy] of DIRECTIONS) {
+    const line = [{ x, y }];
+    for (const sign of [1, -1]) {
+      let cx = x + dx * sign;
+      let cy = y + dy * sign;
+      while (matches(cx, cy)) {
+        line.push({ x: cx, y: cy });
+        cx += dx * sign;
+        cy += dy * sign;
+      }
+    }
+    if (line.length >= WIN_LENGTH) {
+      return line.sort((a, b) => a.x - b.x || a.y - b.y);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply a move for the symbol to play
+ * @param {Object[]} moves - Moves so far
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [size]
+ * @returns {{ error: string } | { move: Object, winningLine: Object[]|null, isBoardFull: boolean }}
+ */
+function playMove(moves, x, y, size = BOARD_SIZE) {
+  const board = buildBoard(moves, size);
+  const error = validateMove(board, x, y);
+  if (error) return { error };
+
+  const move = { x, y, symbol: symbolToMove(moves.length) };
+  board[y][x] = move.symbol;
+
+  return {
+    move,
+    winningLine: findWinningLine(board, x, y),
+    isBoardFull: moves.length + 1 === size * size,
+  };
+}
+
+module.exports = {
+  BOARD_SIZE,
+  WIN_LENGTH,
+  buildBoard,
+  symbolToMove,
+  validateMove,
+  findWinningLine,
+  playMove,
+};
@@ -0,0 +1,600 @@
+/**
+ * Caro Matches
+ * Server-authoritative two-player caro: invites between friends, moves checked by
+ * caro-engine.js, turn timers, resign / draw offers
+ * State lives in CaroMatch rows, so a reconnecting player (or a restarted server)
+ * picks the match up where it was. Finished matches update both players' ratings and
+ * write a GameScore (with a replay) for each. Friends of either player can spectate.
+ *
+ * Actions return { match } or { error } (shown to the player as is)
+ */
+const { prisma } = require('../config/database');
+const { getUserRoom } = require('../config/socket-notifications');
+const { BOARD_SIZE, symbolToMove, playMove } = require('./caro-engine');
+const { withDerivedFields, recordScore } = require('./score-recorder');
+const { applyMatchResult } = require('./ratings');
+const { encodeCaroMatchReplay } = require('./replay-format');
+const { getBlockedUserIds } = require('./block-helper');
+
+const parsePositive = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : fallback;
+};
+
+const TURN_SECONDS = parsePositive(process.env.CARO_TURN_SECONDS, 30);
+const INVITE_SECONDS = parsePositive(process.env.CARO_INVITE_SECONDS, 60);
+
+// GameScore written for each player when a match ends
+const MATCH_POINTS = { win: 100, draw: 50, loss: 0 };
+const MATCH_DIFFICULTY = 'medium';
+
+const PLAYER_SELECT = { id: true, username: true, avatarUrl: true };
+const WITH_PLAYERS = {
+  playerX: { select: PLAYER_SELECT },
+  playerO: { select: PLAYER_SELECT },
+};
+
+// Turn and invite timers: Map<matchId, Timeout>
+const timers = new Map();
+
+const isPlayer = (match, userId) => match.playerXId === userId || match.playerOId === userId;
+const opponentOf = (match, userId) => (match.playerXId === userId ? match.playerOId : match.playerXId);
+const currentPlayerId = (match) => (symbolToMove(match.moveCount) === 'X' ? match.playerXId : match.playerOId);
+
+/**
+ * Match as sent to clients
+ */
+const presentMatch = (match) => ({
+  id: match.id,
+  status: match.status,
+  boardSize: match.boardSize,
+  playerX: match.playerX,
+  playerO: match.playerO,
+  invitedBy: match.invitedBy,
+  moves: match.moves,
+  moveCount: match.moveCount,
+  currentPlayerId: match.status === 'active' ? currentPlayerId(match) : null,
+  turnSeconds: match.turnSeconds,
+  turnDeadline: match.turnDeadline,
+  drawOfferedBy: match.drawOfferedBy,
+  winnerId: match.winnerId,
+  endReason: match.endReason,
+  winningLine: match.winningLine,
+  ratingChangeX: match.ratingChangeX,
+  ratingChangeO: match.ratingChangeO,
+  createdAt: match.createdAt,
+  startedAt: match.startedAt,
+  finishedAt: match.finishedAt,
+});
+
+/**
+ * Socket.IO room of a match's spectators
+ */
+const getSpectatorRoom = (matchId) => `caro:${matchId}`;
+
+/**
+ * Send a match event to every socket of both players and to spectators
+ */
+const emitMatch = (io, match, event, extra = {}) => {
+  if (!io) return;
+  io.to([getUserRoom(match.playerXId), getUserRoom(match.playerOId), getSpectatorRoom(match.id)])
+    .emit(event, { match: presentMatch(match), ...extra });
+};
+
+const findMatch = (matchId) => prisma.caroMatch.findUnique({
+  where: { id: matchId },
+  include: WITH_PLAYERS,
+});
+
+/**
+ * Load a match the user plays in, with the expected status
+ * @returns {Promise<{ match: Object } | { error: string }>}
+ */
+async function loadPlayerMatch(matchId, userId, status) {
+  const match = typeof matchId === 'string' ? await findMatch(matchId) : null;
+  if (!match || !isPlayer(match, userId)) return { error: 'Match not found' };
+  if (status && match.status !== status) {
+    return { error: status === 'pending' ? 'Invite is no longer open' : 'Match is not in progress' };
+  }
+  return { match };
+}
+
+// ==================== TIMERS ====================
+
+function clearTimer(matchId) {
+  clearTimeout(timers.get(matchId));
+  timers.delete(matchId);
+}
+
+/**
+ * Arm the invite expiry (pending) or turn timer (active) of a match
+ */
+function armTimer(io, match) {
+  clearTimer(match.id);
+
+  let at;
+  let onExpire;
+  if (match.status === 'pending') {
+    at = match.createdAt.getTime() + INVITE_SECONDS * 1000;
+    onExpire = () => expireInvite(io, match.id);
+  } else if (match.status === 'active' && match.turnDeadline) {
+    at = match.turnDeadline.getTime();
+    onExpire = () => handleTimeout(io, match.id, match.moveCount);
+  } else {
+    return;
+  }
+
+  timers.set(match.id, setTimeout(() => {
+    timers.delete(match.id);
+    onExpire().catch((error) => console.error('Caro timer error:', error));
+  }, Math.max(at - Date.now(), 0)));
+}
+
+// ==================== RESULT ====================
+
+/**
+ * Write a GameScore for both players (never throws)
+ * Results come from the server, so they skip the anti-cheat review
+ */
+async function recordMatchScores(io, match) {
+  const timeSpent = Math.max(Math.round((match.finishedAt - match.startedAt) / 1000), 1);
+  const replay = match.moveCount > 0 ? encodeCaroMatchReplay(match) : undefined;
+
+  for (const [playerId, symbol] of [[match.playerXId, 'X'], [match.playerOId, 'O']]) {
+    let result = 'loss';
+    if (!match.winnerId) result = 'draw';
+    else if (match.winnerId === playerId) result = 'win';
+
+    try {
+      await recordScore(playerId, {
+        ...withDerivedFields({
+          gameType: 'caro',
+          score: MATCH_POINTS[result],
+          attempts: 1,
+          difficulty: MATCH_DIFFICULTY,
+          timeSpent,
+          gameData: {
+            mode: 'multiplayer',
+            matchId: match.id,
+            result,
+            symbol,
+            opponentId: opponentOf(match, playerId),
+            endReason: match.endReason,
+            moveCount: match.moveCount,
+          },
+        }),
+        status: 'approved',
+        flagReason: null,
+        isVerified: true,
+      }, { io, replay });
+    } catch (error) {
+      console.error(`Record caro match score failed (match ${match.id}):`, error.message);
+    }
+  }
+}
+
+/**
+ * End an active match
+ * @param {Object} match - The match as last read
+ * @param {Object} result - { winnerId, endReason, winningLine? }
+ * @param {Object} [guard] - Extra conditions, e.g. { moveCount } so a move made meanwhile wins
+ * @returns {Promise<{ match: Object } | { error: string }>}
+ */
+async function finishMatch(io, match, result, guard = {}) {
+  const finishedAt = new Date();
+  const { count } = await prisma.caroMatch.updateMany({
+    where: { id: match.id, status: 'active', ...guard },
+    data: {
+      status: 'finished',
+      winnerId: result.winnerId,
+      endReason: result.endReason,
+      winningLine: result.winningLine || undefined,
+      turnDeadline: null,
+      drawOfferedBy: null,
+      finishedAt,
+    },
+  });
+  if (count === 0) return { error: 'Match is not in progress' };
+
+  return afterFinish(io, match.id);
+}
+
+/**
+ * Update both ratings (never throws)
+ * @returns {Promise<Object>} The match with its rating changes
+ */
+async function rateMatch(match) {
+  let resultX = 0.5;
+  if (match.winnerId === match.playerXId) resultX = 1;
+  else if (match.winnerId === match.playerOId) resultX = 0;
+
+  try {
+    const changes = await applyMatchResult('caro', match.playerXId, match.playerOId, resultX);
+    const ratingChanges = {
+      ratingChangeX: changes[match.playerXId].change,
+      ratingChangeO: changes[match.playerOId].change,
+    };
+    await prisma.caroMatch.update({ where: { id: match.id }, data: ratingChanges });
+    return { ...match, ...ratingChanges };
+  } catch (error) {
+    console.error(`Rate caro match failed (match ${match.id}):`, error.message);
+    return match;
+  }
+}
+
+/**
+ * Rate, notify and record a match that was just finished
+ */
+async function afterFinish(io, matchId) {
+  clearTimer(matchId);
+  const finished = await rateMatch(await findMatch(matchId));
+
+  emitMatch(io, finished, 'caro:ended');
+  await recordMatchScores(io, finished);
+
+  return { match: finished };
+}
+
+async function handleTimeout(io, matchId, moveCount) {
+  const match = await findMatch(matchId);
+  if (!match || match.status !== 'active' || match.moveCount !== moveCount) return;
+
+  // Timer fired early (clock drift): wait for the real deadline
+  if (match.turnDeadline > new Date()) {
+    armTimer(io, match);
+    return;
+  }
+
+  await finishMatch(io, match, {
+    winnerId: opponentOf(match, currentPlayerId(match)),
+    endReason: 'timeout',
+  }, { moveCount });
+}
+
+async function expireInvite(io, matchId) {
+  const { count } = await prisma.caroMatch.updateMany({
+    where: { id: matchId, status: 'pending' },
+    data: { status: 'cancelled', finishedAt: new Date() },
+  });
+  if (count === 0) return;
+
+  emitMatch(io, await findMatch(matchId), 'caro:cancelled', { reason: 'expired' });
+}
+
+// ==================== ACTIONS ====================
+
+/**
+ * Invite a friend to a match (the inviter's side, X or O, is random; X moves first)
+ */
+async function createInvite(io, userId, opponentId) {
+  if (typeof opponentId !== 'string' || !opponentId || opponentId === userId) {
+    return { error: 'opponentId must be another user' };
+  }
+
+  const friendship = await prisma.friendship.findFirst({
+    where: {
+      OR: [
+        { userId1: userId, userId2: opponentId },
+        { userId1: opponentId, userId2: userId },
+      ],
+      isBlocked: false,
+    },
+  });
+  if (!friendship) return { error: 'Can only play with friends' };
+
+  const open = await prisma.caroMatch.findFirst({
+    where: {
+      status: { in: ['pending', 'active'] },
+      OR: [
+        { playerXId: userId, playerOId: opponentId },
+        { playerXId: opponentId, playerOId: userId },
+      ],
+    },
+  });
+  if (open) return { error: 'You already have an open match with this player' };
+
+  const inviterIsX = Math.random() < 0.5;
+  const created = await prisma.caroMatch.create({
+    data: {
+      playerXId: inviterIsX ? userId : opponentId,
+      playerOId: inviterIsX ? opponentId : userId,
+      invitedBy: userId,
+      boardSize: BOARD_SIZE,
+      turnSeconds: TURN_SECONDS,
+    },
+    include: WITH_PLAYERS,
+  });
+
+  armTimer(io, created);
+  emitMatch(io, created, 'caro:invited', { expiresAt: new Date(created.createdAt.getTime() + INVITE_SECONDS * 1000) });
+
+  return { match: created };
+}
+
+/**
+ * Start a match between two players right away (matchmaking); sides are random
+ */
+async function startMatch(io, playerAId, playerBId) {
+  const aIsX = Math.random() < 0.5;
+  const now = new Date();
+  const match = await prisma.caroMatch.create({
+    data: {
+      playerXId: aIsX ? playerAId : playerBId,
+      playerOId: aIsX ? playerBId : playerAId,
+      invitedBy: playerAId,
+      status: 'active',
+      boardSize: BOARD_SIZE,
+      turnSeconds: TURN_SECONDS,
+      startedAt: now,
+      turnDeadline: new Date(now.getTime() + TURN_SECONDS * 1000),
+    },
+    include: WITH_PLAYERS,
+  });
+
+  armTimer(io, match);
+  emitMatch(io, match, 'caro:started');
+
+  return { match };
+}
+
+/**
+ * Accept an invite: the match starts with X to move
+ */
+async function acceptInvite(io, userId, matchId) {
+  const loaded = await loadPlayerMatch(matchId, userId, 'pending');
+  if (loaded.error) return loaded;
+  if (loaded.match.invitedBy === userId) return { error: 'Waiting for your opponent to accept' };
+
+  const now = new Date();
+  const { count } = await prisma.caroMatch.updateMany({
+    where: { id: matchId, status: 'pending' },
+    data: {
+      status: 'active',
+      startedAt: now,
+      turnDeadline: new Date(now.getTime() + loaded.match.turnSeconds * 1000),
+    },
+  });
+  if (count === 0) return { error: 'Invite is no longer open' };
+
+  const match = await findMatch(matchId);
+  armTimer(io, match);
+  emitMatch(io, match, 'caro:started');
+
+  return { match };
+}
+
+/**
+ * Decline (invitee) or cancel (inviter) a pending invite
+ */
+async function declineInvite(io, userId, matchId) {
+  const loaded = await loadPlayerMatch(matchId, userId, 'pending');
+  if (loaded.error) return loaded;
+
+  const { count } = await prisma.caroMatch.updateMany({
+    where: { id: matchId, status: 'pending' },
+    data: { status: 'cancelled', finishedAt: new Date() },
+  });
+  if (count === 0) return { error: 'Invite is no longer open' };
+
+  clearTimer(matchId);
+  const match = await findMatch(matchId);
+  emitMatch(io, match, 'caro:cancelled', {
+    reason: loaded.match.invitedBy === userId ? 'cancelled' : 'declined',
+  });
+
+  return { match };
+}
+
+/**
+ * Place the current player's symbol at (x, y)
+ */
+async function makeMove(io, userId, matchId, x, y) {
+  const loaded = await loadPlayerMatch(matchId, userId, 'active');
+  if (loaded.error) return loaded;
+
+  const { match } = loaded;
+  if (currentPlayerId(match) !== userId) return { error: 'Not your turn' };
+
+  const played = playMove(match.moves, x, y, match.boardSize);
+  if (played.error) return played;
+
+  const now = new Date();
+  const move = { ...played.move, at: now.toISOString() };
+  const data = {
+    moves: [...match.moves, move],
+    moveCount: match.moveCount + 1,
+    drawOfferedBy: null, // A move declines any open draw offer
+    turnDeadline: new Date(now.getTime() + match.turnSeconds * 1000),
+  };
+
+  const isOver = played.winningLine || played.isBoardFull;
+  if (isOver) {
+    Object.assign(data, {
+      status: 'finished',
+      winnerId: played.winningLine ? userId : null,
+      endReason: played.winningLine ? 'five_in_row' : 'board_full',
+      winningLine: played.winningLine || undefined,
+      turnDeadline: null,
+      finishedAt: now,
+    });
+  }
+
+  // moveCount guard: a timeout or a second device can't interleave with this move
+  const { count } = await prisma.caroMatch.updateMany({
+    where: { id: matchId, status: 'active', moveCount: match.moveCount },
+    data,
+  });
+  if (count === 0) return { error: 'Match changed, please resync' };
+
+  const updated = await findMatch(matchId);
+  emitMatch(io, updated, 'caro:moved', { move });
+
+  if (isOver) return afterFinish(io, matchId);
+
+  armTimer(io, updated);
+  return { match: updated };
+}
+
+/**
+ * Give up: the opponent wins
+ */
+async function resign(io, userId, matchId) {
+  const loaded = await loadPlayerMatch(matchId, userId, 'active');
+  if (loaded.error) return loaded;
+
+  return finishMatch(io, loaded.match, {
+    winnerId: opponentOf(loaded.match, userId),
+    endReason: 'resign',
+  });
+}
+
+/**
+ * Offer a draw; open until the opponent answers or someone moves
+ */
+async function offerDraw(io, userId, matchId) {
+  const loaded = await loadPlayerMatch(matchId, userId, 'active');
+  if (loaded.error) return loaded;
+
+  const { count } = await prisma.caroMatch.updateMany({
+    where: { id: matchId, status: 'active', drawOfferedBy: null },
+    data: { drawOfferedBy: userId },
+  });
+  if (count === 0) return { error: 'A draw offer is already open' };
+
+  const match = await findMatch(matchId);
+  emitMatch(io, match, 'caro:draw:offered', { offeredBy: userId });
+
+  return { match };
+}
+
+/**
+ * Accept or decline the opponent's draw offer
+ */
+async function respondDraw(io, userId, matchId, accept) {
+  const loaded = await loadPlayerMatch(matchId, userId, 'active');
+  if (loaded.error) return loaded;
+
+  const { match } = loaded;
+  if (!match.drawOfferedBy || match.drawOfferedBy === userId) {
+    return { error: 'No draw offer from your opponent' };
+  }
+
+  if (accept) {
+    return finishMatch(io, match, { winnerId: null, endReason: 'draw_agreed' }, {
+      drawOfferedBy: match.drawOfferedBy,
+    });
+  }
+
+  const { count } = await prisma.caroMatch.updateMany({
+    where: { id: matchId, status: 'active', drawOfferedBy: match.drawOfferedBy },
+    data: { drawOfferedBy: null },
+  });
+  if (count === 0) return { error: 'No draw offer from your opponent' };
+
+  const updated = await findMatch(matchId);
+  emitMatch(io, updated, 'caro:draw:declined', { declinedBy: userId });
+
+  return { match: updated };
+}
+
+/**
+ * Pending invites and matches in progress of a user (for reconnecting clients)
+ */
+async function getOpenMatches(userId) {
+  return prisma.caroMatch.findMany({
+    where: {
+      status: { in: ['pending', 'active'] },
+      OR: [{ playerXId: userId }, { playerOId: userId }],
+    },
+    include: WITH_PLAYERS,
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+// ==================== SPECTATORS ====================
+
+/**
+ * IDs of the user's friends (blocked friendships excluded)
+ */
+const getFriendIds = async (userId) => {
+  const friendships = await prisma.friendship.findMany({
+    where: {
+      OR: [{ userId1: userId }, { userId2: userId }],
+      isBlocked: false,
+    },
+    select: { userId1: true, userId2: true },
+  });
+
+  return friendships.map((f) => (f.userId1 === userId ? f.userId2 : f.userId1));
+};
+
+/**
+ * Check that a user may watch a match: it is in progress, a friend plays in it and
+ * neither player blocked the user or was blocked by them
+ * (the caller joins getSpectatorRoom to receive its events)
+ */
+async function spectateMatch(userId, matchId) {
+  const match = typeof matchId === 'string' ? await findMatch(matchId) : null;
+  if (!match || match.status !== 'active') return { error: 'Match is not in progress' };
+  if (isPlayer(match, userId)) return { error: 'You are playing in this match' };
+
+  const [friendIds, blockedIds] = await Promise.all([getFriendIds(userId), getBlockedUserIds(userId)]);
+  // Same answer as a match that doesn't exist
+  if (blockedIds.includes(match.playerXId) || blockedIds.includes(match.playerOId)) {
+    return { error: 'Match not found' };
+  }
+  if (!friendIds.includes(match.playerXId) && !friendIds.includes(match.playerOId)) {
+    return { error: 'You can only watch matches of your friends' };
+  }
+
+  return { match };
+}
+
+/**
+ * Matches in progress that the user's friends are playing, without matches of
+ * users blocked either way
+ */
+async function getLiveFriendMatches(userId) {
+  const [friendIds, blockedIds] = await Promise.all([getFriendIds(userId), getBlockedUserIds(userId)]);
+  if (friendIds.length === 0) return [];
+
+  return prisma.caroMatch.findMany({
+    where: {
+      status: 'active',
+      OR: [{ playerXId: { in: friendIds } }, { playerOId: { in: friendIds } }],
+      playerXId: { notIn: blockedIds },
+      playerOId: { notIn: blockedIds },
+    },
+    include: WITH_PLAYERS,
+    orderBy: { startedAt: 'desc' },
+  });
+}
+
+/**
+ * Re-arm timers of open matches after a server start
+ */
+async function resumeMatchTimers(io) {
+  const open = await prisma.caroMatch.findMany({
+    where: { status: { in: ['pending', 'active'] } },
+  });
+  open.forEach((match) => armTimer(io, match));
+  return open.length;
+}
+
+module.exports = {
+  presentMatch,
+  createInvite,
+  startMatch,
+  acceptInvite,
+  declineInvite,
+  makeMove,
+  resign,
+  offerDraw,
+  respondDraw,
+  getOpenMatches,
+  loadPlayerMatch,
+  getSpectatorRoom,
+  spectateMatch,
+  getLiveFriendMatches,
+  resumeMatchTimers,
+};
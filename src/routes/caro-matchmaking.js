@@ -0,0 +1,177 @@
+/**
+ * Caro Matchmaking
+ * Queue of players looking for a rated match. Players are paired with the closest
+ * rating inside both players' search ranges; a range starts narrow and widens while
+ * the player waits (see QUEUE_SEARCH). Paired players start a match right away.
+ *
+ * The queue is in memory: it belongs to this server process and is empty after a restart
+ */
+const { prisma } = require('../config/database');
+const { QUEUE_SEARCH } = require('../config/matchmaking');
+const { getRating } = require('./ratings');
+const { startMatch } = require('./caro-matches');
+const { getBlockedUserIds, isBlockedBetween } = require('./block-helper');
+
+// Map<userId, { userId, socketId, rating, joinedAt, blockedIds }>
+const queue = new Map();
+
+let ticker = null;
+let isPairing = false;
+
+/**
+ * Rating distance a queued player accepts at a point in time
+ */
+const searchRange = (entry, now = Date.now()) => Math.min(
+  QUEUE_SEARCH.initialRange + Math.floor((now - entry.joinedAt) / QUEUE_SEARCH.widenEvery) * QUEUE_SEARCH.widenBy,
+  QUEUE_SEARCH.maxRange
+);
+
+/**
+ * Queue entry as sent to clients
+ */
+const describeEntry = (entry, now = Date.now()) => ({
+  gameType: 'caro',
+  rating: entry.rating,
+  searchRange: searchRange(entry, now),
+  joinedAt: new Date(entry.joinedAt),
+  waitedSeconds: Math.floor((now - entry.joinedAt) / 1000),
+  playersInQueue: queue.size,
+});
+
+/**
+ * Closest-rated waiting player both search ranges accept, null when there is none
+ */
+const findOpponent = (player, waiting, paired, now) => {
+  let best = null;
+  for (const other of waiting) {
+    if (other === player || paired.has(other.userId)) continue;
+    if (player.blockedIds.has(other.userId) || other.blockedIds.has(player.userId)) continue;
+
+    const distance = Math.abs(player.rating - other.rating);
+    if (distance > Math.min(searchRange(player, now), searchRange(other, now))) continue;
+    if (!best || distance < Math.abs(player.rating - best.rating)) best = other;
+  }
+  return best;
+};
+
+/**
+ * Pair everyone who can be paired; oldest entries pick first
+ */
+async function pairPlayers(io) {
+  if (isPairing) return;
+  isPairing = true;
+
+  try {
+    const now = Date.now();
+    const waiting = [...queue.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+    const paired = new Set();
+
+    for (const player of waiting) {
+      if (paired.has(player.userId)) continue;
+
+      let best = findOpponent(player, waiting, paired, now);
+
+      // blockedIds are read on join: a block made while both wait is only found here
+      while (best && await isBlockedBetween(player.userId, best.userId)) {
+        player.blockedIds.add(best.userId);
+        best.blockedIds.add(player.userId);
+        best = findOpponent(player, waiting, paired, now);
+      }
+      if (!best) continue;
+
+      // Either player may have left the queue while the block was checked
+      if (queue.get(player.userId) !== player || queue.get(best.userId) !== best) continue;
+
+      paired.add(player.userId);
+      paired.add(best.userId);
+      queue.delete(player.userId);
+      queue.delete(best.userId);
+
+      try {
+        await startMatch(io, player.userId, best.userId);
+      } catch (error) {
+        // Nothing was created: both keep their place
+        console.error('Start matchmaking match error:', error);
+        queue.set(player.userId, player);
+        queue.set(best.userId, best);
+      }
+    }
+  } finally {
+    isPairing = false;
+    if (queue.size === 0) stopTicker();
+  }
+}
+
+function startTicker(io) {
+  if (ticker) return;
+  ticker = setInterval(() => {
+    pairPlayers(io).catch((error) => console.error('Matchmaking error:', error));
+  }, QUEUE_SEARCH.tickInterval);
+  ticker.unref();
+}
+
+function stopTicker() {
+  clearInterval(ticker);
+  ticker = null;
+}
+
+/**
+ * Join the queue
+ * @param {Server} io - Socket.IO server instance
+ * @param {string} userId
+ * @param {string} socketId - Leaving the queue when this socket disconnects
+ * @returns {Promise<{ entry: Object } | { error: string }>}
+ */
+async function joinQueue(io, userId, socketId) {
+  if (queue.has(userId)) return { error: 'You are already in the queue' };
+
+  const active = await prisma.caroMatch.findFirst({
+    where: {
+      status: 'active',
+      OR: [{ playerXId: userId }, { playerOId: userId }],
+    },
+    select: { id: true },
+  });
+  if (active) return { error: 'Finish your current match first' };
+
+  const [{ rating }, blockedIds] = await Promise.all([
+    getRating(userId, 'caro'),
+    getBlockedUserIds(userId),
+  ]);
+  const entry = { userId, socketId, rating, joinedAt: Date.now(), blockedIds: new Set(blockedIds) };
+  queue.set(userId, entry);
+
+  startTicker(io);
+  pairPlayers(io).catch((error) => console.error('Matchmaking error:', error));
+
+  return { entry: describeEntry(entry) };
+}
+
+/**
+ * Leave the queue
+ * @param {string} [socketId] - Only leave if the entry was made from this socket
+ * @returns {boolean} Whether the user was queued
+ */
+function leaveQueue(userId, socketId) {
+  const entry = queue.get(userId);
+  if (!entry || (socketId && entry.socketId !== socketId)) return false;
+
+  queue.delete(userId);
+  if (queue.size === 0) stopTicker();
+  return true;
+}
+
+/**
+ * The user's queue entry, null when not queued
+ */
+function getQueueEntry(userId) {
+  const entry = queue.get(userId);
+  return entry ? describeEntry(entry) : null;
+}
+
+module.exports = {
+  searchRange,
+  joinQueue,
+  leaveQueue,
+  getQueueEntry,
+};
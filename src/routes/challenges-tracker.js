@@ -0,0 +1,258 @@
+/**
+ * Challenges Tracker
+ * - Generates each period's daily / weekly challenges from templates when none are scheduled
+ * - Tracks progress from approved GameScores (recounted inside the challenge window,
+ *   so synced, edited and reviewed scores are all counted the same way)
+ */
+const { prisma } = require('../config/database');
+const { WIN_GAME_TYPES, CHALLENGES_PER_PERIOD, CHALLENGE_TEMPLATES } = require('../config/challenges');
+const { emitToUser } = require('../config/socket-notifications');
+const { DEFAULT_TIME_ZONE, getPeriodRange } = require('./leaderboard-helper');
+const { isWinningScore } = require('./stats-helper');
+
+// Challenge period -> leaderboard period used for its window
+const CHALLENGE_PERIODS = {
+  daily: 'day',
+  weekly: 'week',
+};
+
+/**
+ * 32-bit FNV-1a hash, seeds the pick of a period's challenges
+ */
+function hashKey(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Challenges generated for a period window (same window -> same challenges)
+ * @param {string} period - daily | weekly
+ * @param {Object} range - From getPeriodRange
+ * @returns {Object[]} Challenge create data
+ */
+function generateChallenges(period, range) {
+  const templates = [...CHALLENGE_TEMPLATES[period]];
+  let seed = hashKey(`${period}:${range.key}`);
+  const picked = [];
+
+  while (picked.length < CHALLENGES_PER_PERIOD[period] && templates.length > 0) {
+    picked.push(templates.splice(seed % templates.length, 1)[0]);
+    seed = hashKey(`${seed}`);
+  }
+
+  return picked.map(({ targets, ...template }, slot) => {
+    const target = targets[(seed + slot) % targets.length];
+    return {
+      period,
+      periodKey: range.key,
+      slot,
+      title: template.title,
+      description: template.description.replace('{target}', target),
+      metric: template.metric,
+      gameType: template.gameType || null,
+      difficulty: template.difficulty || null,
+      target,
+      rewardPoints: template.rewardPoints,
+      startsAt: range.start,
+      endsAt: range.end,
+    };
+  });
+}
+
+/**
+ * Active challenges, generating the current periods' sets when nothing is scheduled for them
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Challenge rows, daily first
+ */
+async function ensureChallenges(now = new Date()) {
+  for (const [period, rangePeriod] of Object.entries(CHALLENGE_PERIODS)) {
+    const range = getPeriodRange(rangePeriod, DEFAULT_TIME_ZONE, now);
+    const existing = await prisma.challenge.count({
+      where: { period, periodKey: range.key },
+    });
+
+    if (existing === 0) {
+      // Concurrent requests generate identical rows: the unique slot keeps one set
+      await prisma.challenge.createMany({
+        data: generateChallenges(period, range),
+        skipDuplicates: true,
+      });
+    }
+  }
+
+  return prisma.challenge.findMany({
+    where: {
+      startsAt: { lte: now },
+      endsAt: { gt: now },
+    },
+    orderBy: [{ period: 'asc' }, { slot: 'asc' }],
+  });
+}
+
+/**
+ * Whether a score counts toward a challenge
+ */
+const scoreMatches = (challenge, score) => {
+  const at = new Date(score.createdAt);
+  return at >= challenge.startsAt && at < challenge.endsAt
+    && (!challenge.gameType || score.gameType === challenge.gameType)
+    && (!challenge.difficulty || score.difficulty === challenge.difficulty);
+};
+
+/**
+ * Current metric value of a challenge for a user
+ * @returns {Promise<number>}
+ */
+async function computeChallengeValue(userId, challenge) {
+  const where = {
+    userId,
+    status: 'approved',
+    createdAt: { gte: challenge.startsAt, lt: challenge.endsAt },
+  };
+  if (challenge.gameType) where.gameType = challenge.gameType;
+  if (challenge.difficulty) where.difficulty = challenge.difficulty;
+
+  switch (challenge.metric) {
+    case 'games_played':
+      return prisma.gameScore.count({ where });
+    case 'total_score': {
+      const result = await prisma.gameScore.aggregate({ where, _sum: { score: true } });
+      return result._sum.score || 0;
+    }
+    case 'best_score': {
+      const result = await prisma.gameScore.aggregate({ where, _max: { score: true } });
+      return result._max.score || 0;
+    }
+    case 'wins': {
+      // Challenges made before wins were limited to WIN_GAME_TYPES may have no gameType
+      const scores = await prisma.gameScore.findMany({
+        where: { ...where, gameType: challenge.gameType || { in: WIN_GAME_TYPES } },
+        select: { gameType: true, isVerified: true, gameData: true },
+      });
+      return scores.filter(isWinningScore).length;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Recount and save a user's progress on challenges
+ * Completed challenges keep their progress (deleting a score later doesn't take them back)
+ * @param {string} userId
+ * @param {Object[]} challenges - Challenge rows
+ * @returns {Promise<Object[]>} Challenges completed by this update
+ */
+async function refreshChallengeProgress(userId, challenges) {
+  if (challenges.length === 0) return [];
+
+  const existing = await prisma.userChallenge.findMany({
+    where: { userId, challengeId: { in: challenges.map((c) => c.id) } },
+  });
+  const existingMap = new Map(existing.map((uc) => [uc.challengeId, uc]));
+
+  const completed = [];
+  for (const challenge of challenges) {
+    const userChallenge = existingMap.get(challenge.id);
+    if (userChallenge && userChallenge.completedAt) continue;
+
+    const progress = Math.min(await computeChallengeValue(userId, challenge), challenge.target);
+    const isCompleted = progress >= challenge.target;
+
+    if (!userChallenge) {
+      if (progress === 0) continue;
+      try {
+        await prisma.userChallenge.create({
+          data: {
+            userId,
+            challengeId: challenge.id,
+            progress,
+            completedAt: isCompleted ? new Date() : null,
+          },
+        });
+      } catch (error) {
+        // Created by a concurrent update, which reports the completion itself
+        if (error.code === 'P2002') continue;
+        throw error;
+      }
+    } else {
+      // Only the update that sets completedAt reports the completion
+      const { count } = await prisma.userChallenge.updateMany({
+        where: { id: userChallenge.id, completedAt: null },
+        data: { progress, ...(isCompleted && { completedAt: new Date() }) },
+      });
+      if (count === 0) continue;
+    }
+
+    if (isCompleted) completed.push(challenge);
+  }
+
+  return completed;
+}
+
+/**
+ * Challenge with a user's progress, as returned by the API
+ * @param {Object} challenge - Challenge row
+ * @param {Object|null} userChallenge - UserChallenge row
+ */
+const presentChallenge = (challenge, userChallenge) => ({
+  id: challenge.id,
+  period: challenge.period,
+  periodKey: challenge.periodKey,
+  title: challenge.title,
+  description: challenge.description,
+  metric: challenge.metric,
+  gameType: challenge.gameType,
+  difficulty: challenge.difficulty,
+  target: challenge.target,
+  rewardPoints: challenge.rewardPoints,
+  startsAt: challenge.startsAt,
+  endsAt: challenge.endsAt,
+  progress: userChallenge ? userChallenge.progress : 0,
+  percent: Math.floor(((userChallenge ? userChallenge.progress : 0) / challenge.target) * 100),
+  isCompleted: Boolean(userChallenge && userChallenge.completedAt),
+  completedAt: userChallenge ? userChallenge.completedAt : null,
+  isClaimed: Boolean(userChallenge && userChallenge.claimedAt),
+  claimedAt: userChallenge ? userChallenge.claimedAt : null,
+});
+
+/**
+ * Update challenge progress after scores were saved, without failing the request
+ * Emits challenge:completed to the user's sockets for each completed challenge
+ * @param {string} userId
+ * @param {Object[]} scores - Approved GameScore rows that were created or changed
+ * @param {Object} [options]
+ * @param {Server} [options.io] - Socket.IO server instance
+ * @returns {Promise<Object[]>} Completed challenges (presented)
+ */
+async function trackChallenges(userId, scores, { io } = {}) {
+  try {
+    if (scores.length === 0) return [];
+
+    const active = await ensureChallenges();
+    const affected = active.filter((challenge) => scores.some((score) => scoreMatches(challenge, score)));
+    const completed = await refreshChallengeProgress(userId, affected);
+
+    return completed.map((challenge) => {
+      const result = presentChallenge(challenge, { progress: challenge.target, completedAt: new Date() });
+      emitToUser(io, userId, 'challenge:completed', result);
+      return result;
+    });
+  } catch (error) {
+    console.error('Track challenges failed (non-critical):', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  CHALLENGE_PERIODS,
+  generateChallenges,
+  ensureChallenges,
+  refreshChallengeProgress,
+  presentChallenge,
+  trackChallenges,
+};
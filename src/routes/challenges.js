@@ -0,0 +1,293 @@
+/**
+ * Challenges Routes
+ * Daily and weekly challenges: progress is tracked from submitted scores,
+ * completed challenges give a claimable XP reward
+ */
+const express = require('express');
+const router = express.Router();
+const { prisma } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+const { WIN_GAME_TYPES } = require('../config/challenges');
+const { creditXp, notifyLevelUps } = require('./xp-ledger');
+const { DEFAULT_TIME_ZONE, getPeriodRange } = require('./leaderboard-helper');
+const {
+  CHALLENGE_PERIODS,
+  ensureChallenges,
+  refreshChallengeProgress,
+  presentChallenge,
+} = require('./challenges-tracker');
+
+const CHALLENGE_METRICS = ['games_played', 'total_score', 'best_score', 'wins'];
+const GAME_TYPES = ['rubik', 'sudoku', 'caro', 'puzzle'];
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+/**
+ * Challenges with the user's progress
+ */
+const withProgress = async (userId, challenges) => {
+  const userChallenges = await prisma.userChallenge.findMany({
+    where: { userId, challengeId: { in: challenges.map(c => c.id) } },
+  });
+  const map = new Map(userChallenges.map(uc => [uc.challengeId, uc]));
+
+  return challenges.map(challenge => presentChallenge(challenge, map.get(challenge.id) || null));
+};
+
+// ==================== ACTIVE CHALLENGES ====================
+/**
+ * GET /api/challenges
+ * Current daily and weekly challenges with the user's progress
+ */
+router.get('/', async (req, res) => {
+  try {
+    const active = await ensureChallenges();
+
+    // Also counts games played before a challenge was generated or scheduled
+    await refreshChallengeProgress(req.userId, active);
+
+    const challenges = await withProgress(req.userId, active);
+
+    res.json({
+      success: true,
+      data: {
+        daily: challenges.filter(c => c.period === 'daily'),
+        weekly: challenges.filter(c => c.period === 'weekly'),
+        unclaimed: challenges.filter(c => c.isCompleted && !c.isClaimed).length,
+      },
+    });
+  } catch (error) {
+    console.error('Get challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch challenges',
+    });
+  }
+});
+
+// ==================== UNCLAIMED REWARDS ====================
+/**
+ * GET /api/challenges/unclaimed
+ * Completed challenges whose reward wasn't claimed yet (including past periods)
+ */
+router.get('/unclaimed', async (req, res) => {
+  try {
+    const userChallenges = await prisma.userChallenge.findMany({
+      where: {
+        userId: req.userId,
+        completedAt: { not: null },
+        claimedAt: null,
+      },
+      include: { challenge: true },
+      orderBy: { completedAt: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        challenges: userChallenges.map(uc => presentChallenge(uc.challenge, uc)),
+      },
+    });
+  } catch (error) {
+    console.error('Get unclaimed challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unclaimed challenges',
+    });
+  }
+});
+
+// ==================== CHALLENGE PROGRESS ====================
+/**
+ * GET /api/challenges/:challengeId
+ * Progress on one challenge (recounted while it is active)
+ */
+router.get('/:challengeId', async (req, res) => {
+  try {
+    const challenge = await prisma.challenge.findUnique({
+      where: { id: req.params.challengeId },
+    });
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found',
+      });
+    }
+
+    const now = new Date();
+    if (challenge.startsAt <= now && now < challenge.endsAt) {
+      await refreshChallengeProgress(req.userId, [challenge]);
+    }
+
+    const [result] = await withProgress(req.userId, [challenge]);
+
+    res.json({
+      success: true,
+      data: { challenge: result },
+    });
+  } catch (error) {
+    console.error('Get challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch challenge',
+    });
+  }
+});
+
+// ==================== CLAIM REWARD ====================
+/**
+ * POST /api/challenges/:challengeId/claim
+ * Claim the XP reward of a completed challenge (once)
+ */
+router.post('/:challengeId/claim', async (req, res) => {
+  try {
+    const userChallenge = await prisma.userChallenge.findUnique({
+      where: {
+        userId_challengeId: {
+          userId: req.userId,
+          challengeId: req.params.challengeId,
+        },
+      },
+      include: { challenge: true },
+    });
+
+    if (!userChallenge || !userChallenge.completedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge not completed yet',
+      });
+    }
+
+    if (userChallenge.claimedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reward already claimed',
+      });
+    }
+
+    // Credit first: the ledger credits a challenge once, so a retry after a failure is safe
+    const entry = await creditXp(req.userId, {
+      amount: userChallenge.challenge.rewardPoints,
+      reason: 'challenge_reward',
+      referenceId: userChallenge.challengeId,
+    });
+
+    const claimedAt = new Date();
+    const { count } = await prisma.userChallenge.updateMany({
+      where: { id: userChallenge.id, claimedAt: null },
+      data: { claimedAt },
+    });
+
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reward already claimed',
+      });
+    }
+
+    notifyLevelUps(req.app.get('io'), req.userId, [entry]);
+
+    res.json({
+      success: true,
+      message: 'Reward claimed',
+      data: {
+        challenge: presentChallenge(userChallenge.challenge, { ...userChallenge, claimedAt }),
+        xpEarned: entry ? entry.amount : 0,
+      },
+    });
+  } catch (error) {
+    console.error('Claim challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim challenge reward',
+    });
+  }
+});
+
+// ==================== SCHEDULE CHALLENGE (ADMIN) ====================
+/**
+ * POST /api/challenges
+ * Schedule a challenge for the daily / weekly period containing `date` (default: now)
+ * Periods with scheduled challenges are not generated from templates
+ * Body: { period, date?, title, description, metric, gameType?, difficulty?, target, rewardPoints? }
+ */
+router.post('/', requireRole(['ADMIN']), async (req, res) => {
+  try {
+    const {
+      period, date, title, description, metric, gameType, difficulty, target, rewardPoints = 20,
+    } = req.body;
+
+    const reference = date ? new Date(date) : new Date();
+    let error = null;
+    if (!CHALLENGE_PERIODS[period]) error = 'period must be daily or weekly';
+    else if (Number.isNaN(reference.getTime())) error = 'date must be a valid date';
+    else if (!title || typeof title !== 'string' || title.length > 100) error = 'title is required (max 100 characters)';
+    else if (!description || typeof description !== 'string' || description.length > 500) error = 'description is required (max 500 characters)';
+    else if (!CHALLENGE_METRICS.includes(metric)) error = `metric must be one of: ${CHALLENGE_METRICS.join(', ')}`;
+    else if (gameType && !GAME_TYPES.includes(gameType)) error = `gameType must be one of: ${GAME_TYPES.join(', ')}`;
+    else if (metric === 'wins' && !WIN_GAME_TYPES.includes(gameType)) error = `wins challenges need a gameType with a win / loss result: ${WIN_GAME_TYPES.join(', ')}`;
+    else if (difficulty && !DIFFICULTIES.includes(difficulty)) error = `difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+    else if (!Number.isInteger(target) || target <= 0) error = 'target must be a positive integer';
+    else if (!Number.isInteger(rewardPoints) || rewardPoints < 0) error = 'rewardPoints must be a non-negative integer';
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const range = getPeriodRange(CHALLENGE_PERIODS[period], DEFAULT_TIME_ZONE, reference);
+
+    if (range.end <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot schedule a challenge for a period that has ended',
+      });
+    }
+
+    const last = await prisma.challenge.findFirst({
+      where: { period, periodKey: range.key },
+      orderBy: { slot: 'desc' },
+    });
+
+    const challenge = await prisma.challenge.create({
+      data: {
+        period,
+        periodKey: range.key,
+        slot: last ? last.slot + 1 : 0,
+        title: title.trim(),
+        description: description.trim(),
+        metric,
+        gameType: gameType || null,
+        difficulty: difficulty || null,
+        target,
+        rewardPoints,
+        startsAt: range.start,
+        endsAt: range.end,
+        createdBy: req.userId,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Challenge scheduled',
+      data: { challenge },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another challenge was scheduled at the same time, please retry',
+      });
+    }
+
+    console.error('Schedule challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule challenge',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,415 @@
+/**
+ * Daily Puzzle Routes
+ * One server-seeded board per game type and day, shared by every player
+ * - Each user gets one ranked attempt (start, then submit) per game type and day
+ * - The submitted gameData must carry that day's seed
+ * - The sudoku board is built on the server from the seed, so solutions can be verified
+ * - Ranked on a separate daily leaderboard; the score also counts like any other game
+ */
+const express = require('express');
+const router = express.Router();
+const { prisma } = require('../config/database');
+const { authenticateToken: authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { DAILY_PUZZLE_GAMES, DAILY_SUBMIT_GRACE, getDailySeed } = require('../config/daily-puzzle');
+const { DEFAULT_TIME_ZONE, getPeriodRange } = require('./leaderboard-helper');
+const { parseScoreInput, withDerivedFields, recordScore } = require('./score-recorder');
+const { parseReplay } = require('./replay-format');
+const { generateSudoku } = require('./sudoku-verifier');
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reported timeSpent may exceed the time since start by this much (client clock, rounding)
+const MAX_TIME_SKEW = 60; // seconds
+
+const DEFAULT_LEADERBOARD_LIMIT = 50;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+/**
+ * Day window of a day key ("2025-12-26") or of today
+ * @returns {Object|null} null when the key is not a real calendar day (e.g. 2025-02-30)
+ */
+const getDayRange = (dayKey) => {
+  if (!dayKey) return getPeriodRange('day', DEFAULT_TIME_ZONE, new Date());
+  if (!DAY_KEY_PATTERN.test(dayKey)) return null;
+
+  // Date rolls invalid days over (2025-02-30 -> 2025-03-02): the key must format back the same
+  const noon = new Date(`${dayKey}T12:00:00Z`);
+  if (isNaN(noon.getTime()) || noon.toISOString().slice(0, 10) !== dayKey) return null;
+
+  return getPeriodRange('day', DEFAULT_TIME_ZONE, noon);
+};
+
+/**
+ * Reject game types without a daily board
+ */
+const requireDailyGame = (req, res, next) => {
+  if (!DAILY_PUZZLE_GAMES[req.params.gameType]) {
+    return res.status(400).json({
+      success: false,
+      message: `No daily puzzle for this game. Must be one of: ${Object.keys(DAILY_PUZZLE_GAMES).join(', ')}`,
+    });
+  }
+  next();
+};
+
+// Sudoku boards of recent days by day key (today, and yesterday during the submit grace)
+const sudokuBoards = new Map();
+const MAX_CACHED_BOARDS = 4;
+
+/**
+ * The daily sudoku board of a day (81 digits, 0 = empty)
+ */
+const getDailySudoku = (dayKey) => {
+  if (!sudokuBoards.has(dayKey)) {
+    if (sudokuBoards.size >= MAX_CACHED_BOARDS) sudokuBoards.delete(sudokuBoards.keys().next().value);
+    sudokuBoards.set(dayKey, generateSudoku(getDailySeed('sudoku', dayKey), DAILY_PUZZLE_GAMES.sudoku.difficulty));
+  }
+  return sudokuBoards.get(dayKey);
+};
+
+/**
+ * The daily board as sent to clients (sudoku includes the board itself)
+ */
+const describePuzzle = (gameType, range) => ({
+  gameType,
+  date: range.key,
+  seed: getDailySeed(gameType, range.key),
+  difficulty: DAILY_PUZZLE_GAMES[gameType].difficulty,
+  ...(gameType === 'sudoku' && { board: getDailySudoku(range.key) }),
+  startsAt: range.start,
+  endsAt: range.end,
+  timeZone: range.timeZone,
+});
+
+// ==================== TODAY'S PUZZLE ====================
+/**
+ * GET /api/daily/:gameType
+ * Today's seed and the caller's attempt (null if not started)
+ */
+router.get('/:gameType', authenticate, requireDailyGame, async (req, res) => {
+  try {
+    const { gameType } = req.params;
+    const range = getDayRange();
+
+    const attempt = await prisma.dailyPuzzleAttempt.findUnique({
+      where: {
+        userId_gameType_dayKey: { userId: req.userId, gameType, dayKey: range.key },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        puzzle: describePuzzle(gameType, range),
+        attempt,
+      },
+    });
+  } catch (error) {
+    console.error('Get daily puzzle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching daily puzzle',
+    });
+  }
+});
+
+// ==================== START ATTEMPT ====================
+/**
+ * POST /api/daily/:gameType/start
+ * Start today's ranked attempt (returns the open attempt if already started)
+ */
+router.post('/:gameType/start', authenticate, requireDailyGame, async (req, res) => {
+  try {
+    const { gameType } = req.params;
+    const range = getDayRange();
+    const key = { userId: req.userId, gameType, dayKey: range.key };
+
+    let attempt = await prisma.dailyPuzzleAttempt.findUnique({
+      where: { userId_gameType_dayKey: key },
+    });
+
+    if (attempt && attempt.submittedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already played today\'s puzzle',
+        data: { attempt },
+      });
+    }
+
+    if (!attempt) {
+      try {
+        attempt = await prisma.dailyPuzzleAttempt.create({ data: key });
+      } catch (error) {
+        // Started concurrently from another device
+        if (error.code !== 'P2002') throw error;
+        attempt = await prisma.dailyPuzzleAttempt.findUnique({
+          where: { userId_gameType_dayKey: key },
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Daily puzzle started',
+      data: {
+        puzzle: describePuzzle(gameType, range),
+        attempt,
+      },
+    });
+  } catch (error) {
+    console.error('Start daily puzzle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting daily puzzle',
+    });
+  }
+});
+
+// ==================== SUBMIT ATTEMPT ====================
+/**
+ * POST /api/daily/:gameType/submit
+ * Submit the ranked attempt
+ * Body: { date, score, timeSpent, attempts?, gameData: { seed, ... }, replay? }
+ * date is the puzzle's day ("2025-12-26"); a puzzle started before midnight can be
+ * submitted up to an hour after its day ends
+ */
+router.post('/:gameType/submit', authenticate, requireDailyGame, async (req, res) => {
+  try {
+    const { gameType } = req.params;
+    const { date, gameData } = req.body;
+
+    const range = date ? getDayRange(date) : null;
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'date is required and must be a valid day (YYYY-MM-DD)',
+      });
+    }
+
+    const now = new Date();
+    if (range.key !== date || now.getTime() >= range.end.getTime() + DAILY_SUBMIT_GRACE) {
+      return res.status(400).json({
+        success: false,
+        message: 'This daily puzzle is closed',
+      });
+    }
+
+    // The board played must be the day's board
+    if (!gameData || gameData.seed !== getDailySeed(gameType, date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'gameData.seed does not match the daily puzzle',
+      });
+    }
+
+    const parsed = parseScoreInput({
+      ...req.body,
+      gameType,
+      difficulty: DAILY_PUZZLE_GAMES[gameType].difficulty,
+    });
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    let replay;
+    if (req.body.replay !== undefined) {
+      const parsedReplay = parseReplay(gameType, req.body.replay, parsed.data.timeSpent);
+      if (parsedReplay.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedReplay.error,
+        });
+      }
+      replay = parsedReplay.data;
+    }
+
+    const attempt = await prisma.dailyPuzzleAttempt.findUnique({
+      where: {
+        userId_gameType_dayKey: { userId: req.userId, gameType, dayKey: date },
+      },
+    });
+
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the daily puzzle before submitting',
+      });
+    }
+
+    const elapsed = Math.ceil((now - attempt.startedAt) / 1000);
+    if (parsed.data.timeSpent > elapsed + MAX_TIME_SKEW) {
+      return res.status(400).json({
+        success: false,
+        message: 'timeSpent is longer than the time since the puzzle was started',
+      });
+    }
+
+    // Claim the attempt first: concurrent submits must not record two ranked scores
+    const claimed = await prisma.dailyPuzzleAttempt.updateMany({
+      where: { id: attempt.id, submittedAt: null },
+      data: { submittedAt: now },
+    });
+
+    if (claimed.count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already played today\'s puzzle',
+      });
+    }
+
+    const data = withDerivedFields({
+      ...parsed.data,
+      gameData: { ...gameData, daily: { date, seed: gameData.seed } },
+    }, {
+      sudokuGivens: gameType === 'sudoku' ? getDailySudoku(date) : null,
+    });
+
+    let result;
+    try {
+      result = await recordScore(req.userId, data, {
+        io: req.app.get('io'),
+        inResponse: true,
+        replay,
+      });
+    } catch (error) {
+      // A step after saving may have failed: the attempt is only given back when no score was saved
+      const saved = await prisma.gameScore.findFirst({
+        where: {
+          userId: req.userId,
+          gameType,
+          gameData: { path: ['daily', 'date'], equals: date },
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      await prisma.dailyPuzzleAttempt.update({
+        where: { id: attempt.id },
+        data: saved
+          ? { scoreId: saved.id, score: saved.score, timeSpent: saved.timeSpent }
+          : { submittedAt: null },
+      });
+      throw error;
+    }
+
+    const submitted = await prisma.dailyPuzzleAttempt.update({
+      where: { id: attempt.id },
+      data: {
+        scoreId: result.score.id,
+        score: result.score.score,
+        timeSpent: result.score.timeSpent,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.score.status === 'approved'
+        ? 'Daily puzzle submitted'
+        : 'Daily puzzle submitted and flagged for review',
+      data: {
+        attempt: submitted,
+        ...result,
+      },
+    });
+  } catch (error) {
+    console.error('Submit daily puzzle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting daily puzzle',
+    });
+  }
+});
+
+// ==================== DAILY LEADERBOARD ====================
+/**
+ * GET /api/daily/:gameType/leaderboard?date=2025-12-26&limit=50
+ * Ranked attempts of a day (default today): highest score, then fastest, then earliest
+ * Flagged scores are left out until approved, unverified sudoku solutions entirely
+ */
+router.get('/:gameType/leaderboard', optionalAuthenticate, requireDailyGame, async (req, res) => {
+  try {
+    const { gameType } = req.params;
+    const { date } = req.query;
+
+    const range = getDayRange(date);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a valid day (YYYY-MM-DD)',
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_LEADERBOARD_LIMIT, 1),
+      MAX_LEADERBOARD_LIMIT
+    );
+    const dayKey = range.key;
+
+    const where = {
+      gameType,
+      dayKey,
+      gameScore: { status: 'approved', isRanked: true },
+    };
+    const orderBy = [{ score: 'desc' }, { timeSpent: 'asc' }, { submittedAt: 'asc' }];
+
+    const [attempts, totalPlayers, mine] = await Promise.all([
+      prisma.dailyPuzzleAttempt.findMany({
+        where,
+        orderBy,
+        take: limit,
+        include: {
+          user: { select: { id: true, username: true, avatarUrl: true } },
+          gameScore: { select: { isVerified: true } },
+        },
+      }),
+      prisma.dailyPuzzleAttempt.count({ where }),
+      req.userId
+        ? prisma.dailyPuzzleAttempt.findFirst({ where: { ...where, userId: req.userId } })
+        : null,
+    ]);
+
+    let me = null;
+    if (mine) {
+      const ahead = await prisma.dailyPuzzleAttempt.count({
+        where: {
+          ...where,
+          OR: [
+            { score: { gt: mine.score } },
+            { score: mine.score, timeSpent: { lt: mine.timeSpent } },
+            { score: mine.score, timeSpent: mine.timeSpent, submittedAt: { lt: mine.submittedAt } },
+          ],
+        },
+      });
+      me = { rank: ahead + 1, score: mine.score, timeSpent: mine.timeSpent };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date: dayKey,
+        leaderboard: attempts.map((attempt, index) => ({
+          rank: index + 1,
+          userId: attempt.user.id,
+          username: attempt.user.username,
+          avatarUrl: attempt.user.avatarUrl,
+          score: attempt.score,
+          timeSpent: attempt.timeSpent,
+          isVerified: attempt.gameScore.isVerified,
+          submittedAt: attempt.submittedAt,
+        })),
+        me,
+        totalPlayers,
+      },
+    });
+  } catch (error) {
+    console.error('Daily leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching daily leaderboard',
+    });
+  }
+});
+
+module.exports = router;
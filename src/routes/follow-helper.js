@@ -0,0 +1,77 @@
+/**
+ * Follow Helper
+ * Following a public account is immediate; following a private account sends a request
+ * (a pending Follow) that the account owner accepts or rejects. Only accepted follows
+ * count as followers, and only accepted followers see a private account's posts and lists.
+ */
+const { prisma } = require('../config/database');
+
+/**
+ * IDs of users the user follows (accepted follows)
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+async function getFollowingIds(userId) {
+  const follows = await prisma.follow.findMany({
+    where: { followerId: userId, status: 'accepted' },
+    select: { followingId: true },
+  });
+
+  return follows.map((follow) => follow.followingId);
+}
+
+/**
+ * Follower and following counts of a user
+ * @returns {Promise<{ followers: number, following: number }>}
+ */
+async function getFollowCounts(userId) {
+  const [followers, following] = await Promise.all([
+    prisma.follow.count({ where: { followingId: userId, status: 'accepted' } }),
+    prisma.follow.count({ where: { followerId: userId, status: 'accepted' } }),
+  ]);
+
+  return { followers, following };
+}
+
+/**
+ * Status of the follow from one user to another
+ * @returns {Promise<'none' | 'pending' | 'accepted'>}
+ */
+async function getFollowStatus(followerId, followingId) {
+  const follow = await prisma.follow.findUnique({
+    where: { followerId_followingId: { followerId, followingId } },
+    select: { status: true },
+  });
+
+  return follow ? follow.status : 'none';
+}
+
+/**
+ * Whether the viewer may see an account's posts and follow lists
+ * @param {string} viewerId
+ * @param {{ id: string, isPrivate: boolean }} user
+ */
+async function canViewAccount(viewerId, user) {
+  if (!user.isPrivate || user.id === viewerId) return true;
+  return (await getFollowStatus(viewerId, user.id)) === 'accepted';
+}
+
+/**
+ * Post filter hiding private accounts' posts from everyone but themselves and their followers
+ * @param {string} viewerId
+ * @param {string[]} followingIds - From getFollowingIds(viewerId)
+ */
+const privateAuthorFilter = (viewerId, followingIds) => ({
+  OR: [
+    { user: { isPrivate: false } },
+    { userId: { in: [viewerId, ...followingIds] } },
+  ],
+});
+
+module.exports = {
+  getFollowingIds,
+  getFollowCounts,
+  getFollowStatus,
+  canViewAccount,
+  privateAuthorFilter,
+};
@@ -0,0 +1,271 @@
+/**
+ * Friend Suggestions ("people you may know")
+ * Candidates come from friends of friends, people following the same users, recent likes
+ * and comments between the two, and players of the user's favourite games. Each signal adds
+ * to a score; the strongest signals become the explanation shown in the app.
+ * Friends, blocked users (either way) and users with a pending request are never suggested.
+ */
+const { prisma } = require('../config/database');
+const { getBlockedUserIds } = require('./block-helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Likes and comments newer than this count as recent interactions
+const INTERACTION_WINDOW = 30 * DAY_MS;
+
+// Players of the user's favourite games are added when other signals give fewer candidates
+const GAME_PLAYER_WINDOW = 30 * DAY_MS;
+const GAME_PLAYER_CANDIDATES = 50;
+
+// Game types played most often (approved scores) that count as favourites
+const FAVOURITE_GAMES = 2;
+
+const WEIGHTS = {
+  mutualFriend: 10, // per mutual friend
+  followsYou: 8,
+  youFollow: 6,
+  sharedFollow: 3, // per user both follow
+  interaction: 4, // per like / comment either way, up to MAX_INTERACTIONS
+  sameFavouriteGame: 5,
+};
+const MAX_INTERACTIONS = 5;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Explanations for a candidate's signals, most telling first
+ */
+const explain = (signals) => {
+  const reasons = [];
+  if (signals.mutualFriends > 0) reasons.push(plural(signals.mutualFriends, 'mutual friend'));
+  if (signals.followsYou) reasons.push('Follows you');
+  if (signals.youFollow) reasons.push('You follow them');
+  if (signals.sharedFollows > 0) {
+    reasons.push(`Follows ${signals.sharedFollows} ${signals.sharedFollows === 1 ? 'person' : 'people'} you follow`);
+  }
+  if (signals.interactions > 0) reasons.push('Recent likes or comments between you');
+  if (signals.favouriteGame) reasons.push(`Also plays ${signals.favouriteGame}`);
+  return reasons;
+};
+
+const scoreSignals = (signals) => (
+  signals.mutualFriends * WEIGHTS.mutualFriend
+  + (signals.followsYou ? WEIGHTS.followsYou : 0)
+  + (signals.youFollow ? WEIGHTS.youFollow : 0)
+  + signals.sharedFollows * WEIGHTS.sharedFollow
+  + Math.min(signals.interactions, MAX_INTERACTIONS) * WEIGHTS.interaction
+  + (signals.favouriteGame ? WEIGHTS.sameFavouriteGame : 0)
+);
+
+/**
+ * Most played game type of each user (approved scores)
+ * @returns {Promise<Map<string, string>>} userId -> gameType
+ */
+async function getFavouriteGames(userIds) {
+  const counts = await prisma.gameScore.groupBy({
+    by: ['userId', 'gameType'],
+    where: { userId: { in: userIds }, status: 'approved' },
+    _count: { id: true },
+  });
+
+  const favourites = new Map();
+  const best = new Map();
+  counts.forEach((row) => {
+    if (row._count.id > (best.get(row.userId) || 0)) {
+      best.set(row.userId, row._count.id);
+      favourites.set(row.userId, row.gameType);
+    }
+  });
+  return favourites;
+}
+
+/**
+ * Ranked friend suggestions
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} [{ user, score, reason, reasons, mutualFriends }]
+ */
+async function getFriendSuggestions(userId, { limit = 20 } = {}) {
+  const since = new Date(Date.now() - INTERACTION_WINDOW);
+
+  const [friendships, blockedIds, pendingRequests, following, followers, myGames] = await Promise.all([
+    prisma.friendship.findMany({
+      where: { OR: [{ userId1: userId }, { userId2: userId }] },
+      select: { userId1: true, userId2: true, isBlocked: true },
+    }),
+    getBlockedUserIds(userId),
+    prisma.friendRequest.findMany({
+      where: { status: 'pending', OR: [{ senderId: userId }, { receiverId: userId }] },
+      select: { senderId: true, receiverId: true },
+    }),
+    prisma.follow.findMany({ where: { followerId: userId, status: 'accepted' }, select: { followingId: true } }),
+    prisma.follow.findMany({ where: { followingId: userId, status: 'accepted' }, select: { followerId: true } }),
+    prisma.gameScore.groupBy({
+      by: ['gameType'],
+      where: { userId, status: 'approved' },
+      _count: { id: true },
+      orderBy: { _count: { id: 'desc' } },
+      take: FAVOURITE_GAMES,
+    }),
+  ]);
+
+  const other = (a, b) => (a === userId ? b : a);
+  const friendIds = friendships.filter((f) => !f.isBlocked).map((f) => other(f.userId1, f.userId2));
+  const excluded = new Set([
+    userId,
+    ...friendships.map((f) => other(f.userId1, f.userId2)),
+    ...blockedIds,
+    ...pendingRequests.map((r) => other(r.senderId, r.receiverId)),
+  ]);
+
+  const followingIds = following.map((f) => f.followingId);
+  const favouriteGames = myGames.map((row) => row.gameType);
+
+  const [friendsOfFriends, sharedFollows, likesReceived, commentsReceived, likesGiven, commentsGiven] = await Promise.all([
+    friendIds.length > 0
+      ? prisma.friendship.findMany({
+        where: {
+          isBlocked: false,
+          OR: [{ userId1: { in: friendIds } }, { userId2: { in: friendIds } }],
+        },
+        select: { userId1: true, userId2: true },
+      })
+      : [],
+    followingIds.length > 0
+      ? prisma.follow.groupBy({
+        by: ['followerId'],
+        where: { followingId: { in: followingIds }, followerId: { not: userId }, status: 'accepted' },
+        _count: { followingId: true },
+      })
+      : [],
+    prisma.like.findMany({
+      where: { post: { userId }, createdAt: { gte: since } },
+      select: { userId: true },
+    }),
+    prisma.comment.findMany({
+      where: { post: { userId }, createdAt: { gte: since } },
+      select: { userId: true },
+    }),
+    prisma.like.findMany({
+      where: { userId, createdAt: { gte: since } },
+      select: { post: { select: { userId: true } } },
+    }),
+    prisma.comment.findMany({
+      where: { userId, createdAt: { gte: since } },
+      select: { post: { select: { userId: true } } },
+    }),
+  ]);
+
+  const candidates = new Map();
+  const signalsOf = (candidateId) => {
+    if (excluded.has(candidateId)) return null;
+    if (!candidates.has(candidateId)) {
+      candidates.set(candidateId, {
+        mutualFriends: 0,
+        followsYou: false,
+        youFollow: false,
+        sharedFollows: 0,
+        interactions: 0,
+        favouriteGame: null,
+      });
+    }
+    return candidates.get(candidateId);
+  };
+
+  const friendSet = new Set(friendIds);
+  friendsOfFriends.forEach(({ userId1, userId2 }) => {
+    // Friendships between two of the user's friends give each a mutual friend
+    if (friendSet.has(userId1)) {
+      const signals = signalsOf(userId2);
+      if (signals) signals.mutualFriends += 1;
+    }
+    if (friendSet.has(userId2)) {
+      const signals = signalsOf(userId1);
+      if (signals) signals.mutualFriends += 1;
+    }
+  });
+
+  followers.forEach(({ followerId }) => {
+    const signals = signalsOf(followerId);
+    if (signals) signals.followsYou = true;
+  });
+  followingIds.forEach((followingId) => {
+    const signals = signalsOf(followingId);
+    if (signals) signals.youFollow = true;
+  });
+  sharedFollows.forEach((row) => {
+    const signals = signalsOf(row.followerId);
+    if (signals) signals.sharedFollows = row._count.followingId;
+  });
+
+  [
+    ...likesReceived.map((like) => like.userId),
+    ...commentsReceived.map((comment) => comment.userId),
+    ...likesGiven.map((like) => like.post.userId),
+    ...commentsGiven.map((comment) => comment.post.userId),
+  ].forEach((candidateId) => {
+    const signals = signalsOf(candidateId);
+    if (signals) signals.interactions += 1;
+  });
+
+  // Few social signals: add recent players of the user's favourite games
+  if (candidates.size < limit && favouriteGames.length > 0) {
+    const players = await prisma.gameScore.groupBy({
+      by: ['userId'],
+      where: {
+        gameType: { in: favouriteGames },
+        status: 'approved',
+        createdAt: { gte: new Date(Date.now() - GAME_PLAYER_WINDOW) },
+        userId: { notIn: [...excluded] },
+      },
+      _count: { id: true },
+      orderBy: { _count: { id: 'desc' } },
+      take: GAME_PLAYER_CANDIDATES,
+    });
+    players.forEach((row) => signalsOf(row.userId));
+  }
+
+  if (candidates.size === 0) return [];
+
+  const candidateIds = [...candidates.keys()];
+  const favourites = favouriteGames.length > 0 ? await getFavouriteGames(candidateIds) : new Map();
+  favourites.forEach((gameType, candidateId) => {
+    if (favouriteGames.includes(gameType)) candidates.get(candidateId).favouriteGame = gameType;
+  });
+
+  const ranked = candidateIds
+    .map((candidateId) => ({ candidateId, signals: candidates.get(candidateId) }))
+    .map((entry) => ({ ...entry, score: scoreSignals(entry.signals) }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.signals.mutualFriends - a.signals.mutualFriends)
+    .slice(0, limit);
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: ranked.map((entry) => entry.candidateId) } },
+    select: {
+      id: true,
+      username: true,
+      avatarUrl: true,
+      totalScore: true,
+    },
+  });
+  const userMap = new Map(users.map((user) => [user.id, user]));
+
+  return ranked
+    .filter((entry) => userMap.has(entry.candidateId))
+    .map(({ candidateId, signals, score }) => {
+      const reasons = explain(signals);
+      return {
+        user: userMap.get(candidateId),
+        score,
+        reason: reasons[0],
+        reasons,
+        mutualFriends: signals.mutualFriends,
+      };
+    });
+}
+
+module.exports = {
+  getFriendSuggestions,
+};
@@ -1,12 +1,86 @@
 /**
  * Friend Management Routes
- * Zalo-style friend system: search users, send requests, accept/reject
+ * Zalo-style friend system: search users, send requests, accept/reject, block
  */
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const { triggerAchievementEvent } = require('./achievements-checker');
+const { getBlockedUserIds, isBlockedBetween } = require('./block-helper');
+const { getFriendSuggestions } = require('./friend-suggestions');
+const { getUserRoom, emitToUser } = require('../config/socket-notifications');
 const prisma = new PrismaClient();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pending requests expire after this long
+const REQUEST_TTL = 30 * DAY_MS;
+
+// Wait before the same sender can ask the same user again, by how the last request ended
+const REQUEST_COOLDOWNS = {
+  rejected: 7 * DAY_MS,
+  cancelled: DAY_MS,
+  expired: 0,
+  accepted: 0, // Friends since removed
+};
+
+const REQUEST_INCLUDE = {
+  sender: { select: { id: true, username: true, avatarUrl: true } },
+  receiver: { select: { id: true, username: true, avatarUrl: true } },
+};
+
+const isExpired = (request) => request.sentAt.getTime() + REQUEST_TTL <= Date.now();
+
+const withExpiry = (request) => ({
+  ...request,
+  expiresAt: new Date(request.sentAt.getTime() + REQUEST_TTL),
+});
+
+/**
+ * Mark pending requests past their TTL as expired
+ * @param {Object} where - Extra conditions (e.g. { receiverId })
+ */
+const expireStaleRequests = (where) => prisma.friendRequest.updateMany({
+  where: {
+    ...where,
+    status: 'pending',
+    sentAt: { lte: new Date(Date.now() - REQUEST_TTL) },
+  },
+  data: { status: 'expired', respondedAt: new Date() },
+});
+
+/**
+ * Close a pending request (accepted, rejected or cancelled)
+ * @returns {Promise<Object|null>} The updated request, null if it was no longer pending
+ */
+const respondToRequest = async (requestId, status) => {
+  const { count } = await prisma.friendRequest.updateMany({
+    where: {
+      id: requestId,
+      status: 'pending',
+      sentAt: { gt: new Date(Date.now() - REQUEST_TTL) },
+    },
+    data: { status, respondedAt: new Date() },
+  });
+
+  if (count === 0) return null;
+
+  return prisma.friendRequest.findUnique({
+    where: { id: requestId },
+    include: REQUEST_INCLUDE,
+  });
+};
+
+/**
+ * Push a request change to both users' sockets
+ * Events: friend:request, friend:accepted, friend:rejected, friend:cancelled
+ */
+const notifyRequest = (io, request, event) => {
+  const payload = { request: withExpiry(request) };
+  emitToUser(io, request.senderId, event, payload);
+  emitToUser(io, request.receiverId, event, payload);
+};
+
 // ==================== SEARCH USERS ====================
 /**
  * GET /api/friends/search?q=username
@@ -21,11 +95,13 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ error: 'Query must be at least 2 characters' });
     }
 
+    const blockedIds = await getBlockedUserIds(userId);
+
     // Search users by username (case-insensitive)
     const users = await prisma.user.findMany({
       where: {
         AND: [
-          { id: { not: userId } }, // Exclude current user
+          { id: { notIn: [userId, ...blockedIds] } }, // Exclude current user and blocks
           {
             OR: [
               { username: { contains: q, mode: 'insensitive' } },
@@ -51,10 +127,30 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// ==================== FRIEND SUGGESTIONS ====================
+/**
+ * GET /api/friends/suggestions?limit=20
+ * People you may know: ranked by mutual friends, shared follows, recent likes and
+ * comments, and favourite games, each with the reasons it was suggested
+ */
+router.get('/suggestions', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const suggestions = await getFriendSuggestions(req.user.id, { limit });
+
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Friend suggestions error:', error);
+    res.status(500).json({ error: 'Failed to get friend suggestions' });
+  }
+});
+
 // ==================== SEND FRIEND REQUEST ====================
 /**
  * POST /api/friends/request
  * Send friend request to another user
+ * After a rejection or cancellation the same user can be asked again once the cooldown has passed
  */
 router.post('/request', async (req, res) => {
   try {
@@ -69,6 +165,10 @@ router.post('/request', async (req, res) => {
       return res.status(400).json({ error: 'Cannot send friend request to yourself' });
     }
 
+    if (await isBlockedBetween(senderId, receiverId)) {
+      return res.status(403).json({ error: 'Cannot send friend request to this user' });
+    }
+
     // Check if already friends
     const existingFriendship = await prisma.friendship.findFirst({
       where: {
@@ -83,6 +183,13 @@ router.post('/request', async (req, res) => {
       return res.status(400).json({ error: 'Already friends' });
     }
 
+    await expireStaleRequests({
+      OR: [
+        { senderId, receiverId },
+        { senderId: receiverId, receiverId: senderId },
+      ],
+    });
+
     // Check if request already exists
     const existingRequest = await prisma.friendRequest.findFirst({
       where: {
@@ -97,26 +204,54 @@ router.post('/request', async (req, res) => {
       return res.status(400).json({ error: 'Friend request already exists' });
     }
 
-    // Create friend request
-    const request = await prisma.friendRequest.create({
-      data: {
-        senderId,
-        receiverId,
-        message,
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-            avatarUrl: true,
-          },
-        },
-      },
+    // An earlier request to this user: reuse its row once the cooldown is over
+    const previous = await prisma.friendRequest.findUnique({
+      where: { senderId_receiverId: { senderId, receiverId } },
     });
 
-    res.status(201).json(request);
+    if (previous) {
+      const availableAt = new Date(
+        (previous.respondedAt || previous.sentAt).getTime() + (REQUEST_COOLDOWNS[previous.status] || 0)
+      );
+
+      if (availableAt > new Date()) {
+        return res.status(429).json({
+          error: 'You cannot send another request to this user yet',
+          retryAt: availableAt,
+        });
+      }
+    }
+
+    const data = {
+      message,
+      status: 'pending',
+      sentAt: new Date(),
+      respondedAt: null,
+    };
+
+    let request;
+    try {
+      request = previous
+        ? await prisma.friendRequest.update({
+          where: { id: previous.id, status: previous.status },
+          data,
+          include: REQUEST_INCLUDE,
+        })
+        : await prisma.friendRequest.create({
+          data: { ...data, senderId, receiverId },
+          include: REQUEST_INCLUDE,
+        });
+    } catch (error) {
+      // Sent concurrently from another request
+      if (error.code === 'P2002' || error.code === 'P2025') {
+        return res.status(400).json({ error: 'Friend request already exists' });
+      }
+      throw error;
+    }
+
+    notifyRequest(req.app.get('io'), request, 'friend:request');
+
+    res.status(201).json(withExpiry(request));
   } catch (error) {
     console.error('Send friend request error:', error);
     res.status(500).json({ error: 'Failed to send friend request' });
@@ -132,6 +267,8 @@ router.get('/requests', async (req, res) => {
   try {
     const userId = req.user.id;
 
+    await expireStaleRequests({ receiverId: userId });
+
     const requests = await prisma.friendRequest.findMany({
       where: {
         receiverId: userId,
@@ -151,13 +288,48 @@ router.get('/requests', async (req, res) => {
       orderBy: { sentAt: 'desc' },
     });
 
-    res.json({ requests });
+    res.json({ requests: requests.map(withExpiry) });
   } catch (error) {
     console.error('Get requests error:', error);
     res.status(500).json({ error: 'Failed to get friend requests' });
   }
 });
 
+/**
+ * GET /api/friends/requests/sent
+ * Get all pending friend requests the current user sent
+ */
+router.get('/requests/sent', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    await expireStaleRequests({ senderId: userId });
+
+    const requests = await prisma.friendRequest.findMany({
+      where: {
+        senderId: userId,
+        status: 'pending',
+      },
+      include: {
+        receiver: {
+          select: {
+            id: true,
+            username: true,
+            avatarUrl: true,
+            totalScore: true,
+          },
+        },
+      },
+      orderBy: { sentAt: 'desc' },
+    });
+
+    res.json({ requests: requests.map(withExpiry) });
+  } catch (error) {
+    console.error('Get sent requests error:', error);
+    res.status(500).json({ error: 'Failed to get sent friend requests' });
+  }
+});
+
 // ==================== ACCEPT FRIEND REQUEST ====================
 /**
  * POST /api/friends/accept/:requestId
@@ -181,18 +353,24 @@ router.post('/accept/:requestId', async (req, res) => {
       return res.status(403).json({ error: 'Cannot accept this request' });
     }
 
+    if (request.status === 'pending' && isExpired(request)) {
+      await expireStaleRequests({ id: requestId });
+      return res.status(400).json({ error: 'Friend request has expired' });
+    }
+
     if (request.status !== 'pending') {
       return res.status(400).json({ error: 'Request already responded to' });
     }
 
-    // Update request status
-    await prisma.friendRequest.update({
-      where: { id: requestId },
-      data: {
-        status: 'accepted',
-        respondedAt: new Date(),
-      },
-    });
+    if (await isBlockedBetween(request.senderId, request.receiverId)) {
+      return res.status(403).json({ error: 'Cannot accept this request' });
+    }
+
+    // Update request status (only once, even if accepted twice at the same time)
+    const accepted = await respondToRequest(requestId, 'accepted');
+    if (!accepted) {
+      return res.status(400).json({ error: 'Request already responded to' });
+    }
 
     // Create friendship (userId1 < userId2)
     const [userId1, userId2] = [request.senderId, request.receiverId].sort();
@@ -221,6 +399,15 @@ router.post('/accept/:requestId', async (req, res) => {
       },
     });
 
+    // Both users gained a friend
+    const io = req.app.get('io');
+    await Promise.all([
+      triggerAchievementEvent(request.senderId, 'friend_added', {}, { io }),
+      triggerAchievementEvent(request.receiverId, 'friend_added', {}, { io }),
+    ]);
+
+    notifyRequest(io, accepted, 'friend:accepted');
+
     res.json(friendship);
   } catch (error) {
     console.error('Accept friend request error:', error);
@@ -250,13 +437,12 @@ router.post('/reject/:requestId', async (req, res) => {
       return res.status(403).json({ error: 'Cannot reject this request' });
     }
 
-    await prisma.friendRequest.update({
-      where: { id: requestId },
-      data: {
-        status: 'rejected',
-        respondedAt: new Date(),
-      },
-    });
+    const rejected = await respondToRequest(requestId, 'rejected');
+    if (!rejected) {
+      return res.status(400).json({ error: 'Request already responded to' });
+    }
+
+    notifyRequest(req.app.get('io'), rejected, 'friend:rejected');
 
     res.json({ message: 'Friend request rejected' });
   } catch (error) {
@@ -265,6 +451,42 @@ router.post('/reject/:requestId', async (req, res) => {
   }
 });
 
+// ==================== CANCEL FRIEND REQUEST ====================
+/**
+ * POST /api/friends/cancel/:requestId
+ * Withdraw a friend request (sender only)
+ */
+router.post('/cancel/:requestId', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { requestId } = req.params;
+
+    const request = await prisma.friendRequest.findUnique({
+      where: { id: requestId },
+    });
+
+    if (!request) {
+      return res.status(404).json({ error: 'Friend request not found' });
+    }
+
+    if (request.senderId !== userId) {
+      return res.status(403).json({ error: 'Cannot cancel this request' });
+    }
+
+    const cancelled = await respondToRequest(requestId, 'cancelled');
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Request already responded to' });
+    }
+
+    notifyRequest(req.app.get('io'), cancelled, 'friend:cancelled');
+
+    res.json({ message: 'Friend request cancelled' });
+  } catch (error) {
+    console.error('Cancel friend request error:', error);
+    res.status(500).json({ error: 'Failed to cancel friend request' });
+  }
+});
+
 // ==================== GET FRIENDS LIST ====================
 /**
  * GET /api/friends
@@ -348,6 +570,15 @@ router.delete('/:friendId', async (req, res) => {
       where: { id: friendship.id },
     });
 
+    // Blocked friendships aren't counted as friends
+    if (!friendship.isBlocked) {
+      const io = req.app.get('io');
+      await Promise.all([
+        triggerAchievementEvent(userId, 'friend_removed', {}, { io }),
+        triggerAchievementEvent(friendId, 'friend_removed', {}, { io }),
+      ]);
+    }
+
     res.json({ message: 'Friend removed successfully' });
   } catch (error) {
     console.error('Unfriend error:', error);
@@ -355,4 +586,130 @@ router.delete('/:friendId', async (req, res) => {
   }
 });
 
+// ==================== BLOCKING ====================
+/**
+ * GET /api/friends/blocked
+ * Users the current user has blocked
+ */
+router.get('/blocked', async (req, res) => {
+  try {
+    const blocks = await prisma.userBlock.findMany({
+      where: { blockerId: req.user.id },
+      include: {
+        blocked: {
+          select: {
+            id: true,
+            username: true,
+            avatarUrl: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      blocked: blocks.map((block) => ({ ...block.blocked, blockedAt: block.createdAt })),
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ error: 'Failed to get blocked users' });
+  }
+});
+
+/**
+ * POST /api/friends/block/:userId
+ * Block any user: ends the friendship, follows both ways, pending friend requests
+ * and caro invites between the two
+ */
+router.post('/block/:userId', async (req, res) => {
+  try {
+    const blockerId = req.user.id;
+    const blockedId = req.params.userId;
+
+    if (blockerId === blockedId) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id: blockedId },
+      select: { id: true },
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [userId1, userId2] = [blockerId, blockedId].sort();
+    const friendship = await prisma.friendship.findUnique({
+      where: { userId1_userId2: { userId1, userId2 } },
+    });
+
+    const betweenUsers = (a, b) => ({
+      OR: [
+        { [a]: blockerId, [b]: blockedId },
+        { [a]: blockedId, [b]: blockerId },
+      ],
+    });
+
+    await prisma.$transaction([
+      prisma.userBlock.upsert({
+        where: { blockerId_blockedId: { blockerId, blockedId } },
+        create: { blockerId, blockedId },
+        update: {},
+      }),
+      prisma.friendship.deleteMany({ where: { userId1, userId2 } }),
+      prisma.follow.deleteMany({ where: betweenUsers('followerId', 'followingId') }),
+      prisma.friendRequest.deleteMany({
+        where: { ...betweenUsers('senderId', 'receiverId'), status: 'pending' },
+      }),
+      prisma.caroMatch.updateMany({
+        where: { ...betweenUsers('playerXId', 'playerOId'), status: 'pending' },
+        data: { status: 'cancelled', finishedAt: new Date() },
+      }),
+    ]);
+
+    const io = req.app.get('io');
+
+    // Blocked friendships weren't counted as friends
+    if (friendship && !friendship.isBlocked) {
+      await Promise.all([
+        triggerAchievementEvent(blockerId, 'friend_removed', {}, { io }),
+        triggerAchievementEvent(blockedId, 'friend_removed', {}, { io }),
+      ]);
+    }
+
+    // Close their chat room: typing and other room events stop reaching the other side
+    if (io) {
+      const roomId = [blockerId, blockedId].sort().join('-');
+      io.in([getUserRoom(blockerId), getUserRoom(blockedId)]).socketsLeave(roomId);
+    }
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+/**
+ * DELETE /api/friends/block/:userId
+ * Unblock a user (the friendship is not restored)
+ */
+router.delete('/block/:userId', async (req, res) => {
+  try {
+    const { count } = await prisma.userBlock.deleteMany({
+      where: { blockerId: req.user.id, blockedId: req.params.userId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,331 @@
+/**
+ * Leaderboard Helper
+ * - Time windows (day, ISO week, month, all-time) computed in a given IANA time zone
+ * - Per-user best-score ranking with the caller's own rank and neighbours
+ */
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+const VALID_PERIODS = ['day', 'week', 'month', 'all'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default time zone for period boundaries when the client doesn't send one
+const DEFAULT_TIME_ZONE = process.env.LEADERBOARD_TIMEZONE || 'UTC';
+
+/**
+ * Check that a string is a time zone Intl understands (e.g. "Asia/Ho_Chi_Minh")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Intl formatters are expensive to create: one per time zone
+const formatters = new Map();
+
+/**
+ * Wall-clock date parts of an instant in a time zone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function getZonedParts(date, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of local midnight for a calendar date in a time zone
+ * Month/day may overflow (e.g. day 32), Date.UTC normalizes them
+ * @returns {Date}
+ */
+function startOfZonedDay(year, month, day, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+
+  // Re-check once: the offset may differ on the other side of a DST change
+  const offset = getTimeZoneOffset(new Date(instant), timeZone);
+  instant = wallClock - offset;
+
+  return new Date(instant);
+}
+
+/**
+ * Calendar date (in the time zone) as a plain UTC date, for date arithmetic
+ */
+function getZonedDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+}
+
+/**
+ * ISO 8601 week-numbering year and week of a calendar date
+ */
+function getIsoWeek(utcDate) {
+  const date = new Date(utcDate.getTime());
+  const dayOfWeek = date.getUTCDay() || 7; // Monday = 1 ... Sunday = 7
+  date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek); // Thursday decides the year
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date.getTime() - yearStart) / DAY_MS + 1) / 7);
+  return { year: date.getUTCFullYear(), week };
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Local calendar day of an instant, e.g. "2025-12-26"
+ */
+function getDayKey(date, timeZone = DEFAULT_TIME_ZONE) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Local ISO week of an instant, e.g. "2025-W52"
+ */
+function getWeekKey(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, week } = getIsoWeek(getZonedDate(date, timeZone));
+  return `${year}-W${pad(week)}`;
+}
+
+/**
+ * Time window containing a reference instant
+ * @param {string} period - day | week | month | all
+ * @param {string} timeZone - IANA time zone for the boundaries
+ * @param {Date} [reference] - Instant inside the window (defaults to now)
+ * @returns {{ period: string, key: string, start: Date|null, end: Date|null, timeZone: string }}
+ *   start is inclusive, end is exclusive; both null for all-time
+ */
+function getPeriodRange(period, timeZone = DEFAULT_TIME_ZONE, reference = new Date()) {
+  if (period === 'all') {
+    return { period, key: 'all', start: null, end: null, timeZone };
+  }
+
+  const local = getZonedDate(reference, timeZone);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth() + 1;
+  const day = local.getUTCDate();
+
+  if (period === 'day') {
+    return {
+      period,
+      key: `${year}-${pad(month)}-${pad(day)}`,
+      start: startOfZonedDay(year, month, day, timeZone),
+      end: startOfZonedDay(year, month, day + 1, timeZone),
+      timeZone,
+    };
+  }
+
+  if (period === 'week') {
+    const mondayOffset = (local.getUTCDay() || 7) - 1;
+    const { year: weekYear, week } = getIsoWeek(local);
+    return {
+      period,
+      key: `${weekYear}-W${pad(week)}`,
+      start: startOfZonedDay(year, month, day - mondayOffset, timeZone),
+      end: startOfZonedDay(year, month, day - mondayOffset + 7, timeZone),
+      timeZone,
+    };
+  }
+
+  if (period === 'month') {
+    return {
+      period,
+      key: `${year}-${pad(month)}`,
+      start: startOfZonedDay(year, month, 1, timeZone),
+      end: startOfZonedDay(year, month + 1, 1, timeZone),
+      timeZone,
+    };
+  }
+
+  throw new Error(`Invalid period: ${period}`);
+}
+
+/**
+ * Window that ended `count` periods before the one containing the reference
+ * @param {string} period - day | week | month
+ * @param {number} [count] - 1 = the previous (most recently finished) window
+ */
+function getPreviousPeriodRange(period, timeZone = DEFAULT_TIME_ZONE, count = 1, reference = new Date()) {
+  let range = getPeriodRange(period, timeZone, reference);
+  for (let i = 0; i < count; i++) {
+    range = getPeriodRange(period, timeZone, new Date(range.start.getTime() - 1));
+  }
+  return range;
+}
+
+/**
+ * The last `count` windows up to and including the current one, oldest first
+ * Used for chartable date buckets
+ */
+function getRecentPeriods(period, timeZone = DEFAULT_TIME_ZONE, count = 1, reference = new Date()) {
+  const ranges = [getPeriodRange(period, timeZone, reference)];
+  while (ranges.length < count) {
+    ranges.unshift(getPeriodRange(period, timeZone, new Date(ranges[0].start.getTime() - 1)));
+  }
+  return ranges;
+}
+
+/**
+ * Prisma createdAt filter for a window (undefined for all-time)
+ */
+function getPeriodFilter(range) {
+  if (!range || !range.start) return undefined;
+  return { gte: range.start, lt: range.end };
+}
+
+/**
+ * Score column a ranking compares: raw scores only within one game and difficulty,
+ * normalizedScore (game weight x difficulty bonus) when either filter is "all"
+ * @returns {string} score | normalizedScore
+ */
+function getRankingMetric({ gameType, difficulty } = {}) {
+  const isSingleBoard = gameType && gameType !== 'all' && difficulty && difficulty !== 'all';
+  return isSingleBoard ? 'score' : 'normalizedScore';
+}
+
+/**
+ * Rank users by their best approved, ranked score (unverified sudoku scores are unranked)
+ * Each user appears once (best score, earliest run on ties). Ranks use competition
+ * ranking (equal scores share a rank); positions break ties by who got there first.
+ * Mixed games or difficulties are compared by normalizedScore (see getRankingMetric)
+ * @param {Object} filters
+ * @param {string} [filters.gameType] - GameType or "all"
+ * @param {string} [filters.difficulty] - Difficulty or "all"
+ * @param {Object} [filters.range] - Period from getPeriodRange
+ * @param {string[]} [filters.userIds] - Restrict to these users (e.g. friends)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Size of the top list
+ * @param {string} [options.userId] - Caller to locate in the ranking
+ * @param {number} [options.neighbours] - Entries above and below the caller
+ * @returns {Promise<{ top: Object[], me: Object|null, neighbours: Object[], totalPlayers: number }>}
+ */
+async function rankBestScores(filters = {}, options = {}) {
+  const { gameType, difficulty, range, userIds } = filters;
+  const { limit = 10, userId = null, neighbours = 0 } = options;
+  const metric = getRankingMetric(filters);
+  const rankValue = Prisma.raw(`s."${metric}"`);
+
+  const conditions = [Prisma.sql`s."status" = 'approved'`, Prisma.sql`s."isRanked" = TRUE`];
+  if (gameType && gameType !== 'all') {
+    conditions.push(Prisma.sql`s."gameType" = ${gameType}::"GameType"`);
+  }
+  if (difficulty && difficulty !== 'all') {
+    conditions.push(Prisma.sql`s."difficulty" = ${difficulty}::"Difficulty"`);
+  }
+  if (range && range.start) {
+    // createdAt is stored as UTC without time zone
+    conditions.push(Prisma.sql`s."createdAt" >= ${range.start.toISOString()}::timestamp(3)`);
+    conditions.push(Prisma.sql`s."createdAt" < ${range.end.toISOString()}::timestamp(3)`);
+  }
+  if (userIds) {
+    conditions.push(userIds.length > 0
+      ? Prisma.sql`s."userId" IN (${Prisma.join(userIds)})`
+      : Prisma.sql`FALSE`);
+  }
+
+  const rows = await prisma.$queryRaw`
+    WITH best AS (
+      SELECT DISTINCT ON (s."userId")
+        s."userId", s."id" AS "scoreId", s."score", s."normalizedScore", ${rankValue} AS "rankValue",
+        s."gameType", s."difficulty", s."timeSpent", s."isVerified", s."createdAt"
+      FROM "game_scores" s
+      WHERE ${Prisma.join(conditions, ' AND ')}
+      ORDER BY s."userId", ${rankValue} DESC, s."createdAt" ASC
+    ), ranked AS (
+      SELECT best.*,
+        RANK() OVER (ORDER BY best."rankValue" DESC) AS "rank",
+        ROW_NUMBER() OVER (ORDER BY best."rankValue" DESC, best."createdAt" ASC, best."userId" ASC) AS "position",
+        COUNT(*) OVER () AS "totalPlayers"
+      FROM best
+    ), me AS (
+      SELECT ranked."position" FROM ranked WHERE ranked."userId" = ${userId}
+    )
+    SELECT ranked.*, u."username", u."avatarUrl",
+      EXISTS (SELECT 1 FROM "game_replays" r WHERE r."scoreId" = ranked."scoreId") AS "hasReplay"
+    FROM ranked
+    JOIN "users" u ON u."id" = ranked."userId"
+    WHERE ranked."position" <= ${limit}
+      OR ranked."position" BETWEEN (SELECT "position" FROM me) - ${neighbours}
+                               AND (SELECT "position" FROM me) + ${neighbours}
+    ORDER BY ranked."position"
+  `;
+
+  const entries = rows.map((row) => ({
+    rank: Number(row.rank),
+    position: Number(row.position),
+    user: {
+      id: row.userId,
+      username: row.username,
+      avatarUrl: row.avatarUrl,
+    },
+    score: row.score,
+    normalizedScore: row.normalizedScore,
+    rankedBy: metric,
+    scoreId: row.scoreId,
+    gameType: row.gameType,
+    difficulty: row.difficulty,
+    timeSpent: row.timeSpent,
+    isVerified: row.isVerified,
+    hasReplay: row.hasReplay,
+    achievedAt: row.createdAt,
+  }));
+
+  const me = userId ? entries.find((entry) => entry.user.id === userId) || null : null;
+
+  return {
+    top: entries.filter((entry) => entry.position <= limit),
+    me,
+    neighbours: me
+      ? entries.filter((entry) => Math.abs(entry.position - me.position) <= neighbours)
+      : [],
+    totalPlayers: rows.length > 0 ? Number(rows[0].totalPlayers) : 0,
+  };
+}
+
+module.exports = {
+  VALID_PERIODS,
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getPeriodRange,
+  getPreviousPeriodRange,
+  getRecentPeriods,
+  getPeriodFilter,
+  getDayKey,
+  getWeekKey,
+  getRankingMetric,
+  rankBestScores,
+};
@@ -0,0 +1,179 @@
+/**
+ * Leaderboard Snapshots
+ * Frozen leaderboards of finished periods ("last week's winners")
+ * - Only a fixed set is stored: the default time zone, the last SNAPSHOT_PERIODS periods,
+ *   every gameType / difficulty filter ("all" included)
+ * - Written by a background job once a period has been closed for SNAPSHOT_DELAY
+ * - Rebuilt when a score inside a snapshotted period is synced, edited or approved later
+ */
+const { prisma } = require('../config/database');
+const {
+  DEFAULT_TIME_ZONE,
+  getPeriodRange,
+  getPreviousPeriodRange,
+  rankBestScores,
+} = require('./leaderboard-helper');
+const { VALID_GAME_TYPES, VALID_DIFFICULTIES } = require('./score-recorder');
+
+// Number of entries frozen in a snapshot
+const SNAPSHOT_SIZE = 100;
+
+// Finished periods kept as snapshots, per period type
+const SNAPSHOT_PERIODS = {
+  day: 7,
+  week: 8,
+  month: 12,
+};
+
+// A period is snapshotted this long after it ends (late daily submits, quick syncs)
+const SNAPSHOT_DELAY = 60 * 60 * 1000; // 1 hour
+
+const JOB_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+const GAME_TYPE_FILTERS = ['all', ...VALID_GAME_TYPES];
+const DIFFICULTY_FILTERS = ['all', ...VALID_DIFFICULTIES];
+
+let ticker = null;
+
+/**
+ * Whether a period's leaderboard is kept as a snapshot
+ * @param {Object} range - From getPeriodRange
+ * @param {Date} [now]
+ */
+function isSnapshotPeriod(range, now = new Date()) {
+  const kept = SNAPSHOT_PERIODS[range.period];
+  if (!kept || range.timeZone !== DEFAULT_TIME_ZONE) return false;
+  if (now.getTime() < range.end.getTime() + SNAPSHOT_DELAY) return false;
+
+  const oldest = getPreviousPeriodRange(range.period, DEFAULT_TIME_ZONE, kept, now);
+  return range.start.getTime() >= oldest.start.getTime();
+}
+
+const snapshotKey = (range, gameType, difficulty) => ({
+  period: range.period,
+  periodKey: range.key,
+  timeZone: range.timeZone,
+  gameType,
+  difficulty,
+});
+
+/**
+ * Rank a period and store (or replace) its snapshot
+ * @returns {Promise<Object>} LeaderboardSnapshot
+ */
+async function writeSnapshot(range, gameType, difficulty) {
+  const key = snapshotKey(range, gameType, difficulty);
+  const { top } = await rankBestScores({ gameType, difficulty, range }, { limit: SNAPSHOT_SIZE });
+
+  return prisma.leaderboardSnapshot.upsert({
+    where: { period_periodKey_timeZone_gameType_difficulty: key },
+    create: {
+      ...key,
+      periodStart: range.start,
+      periodEnd: range.end,
+      entries: top,
+    },
+    update: { entries: top },
+  });
+}
+
+/**
+ * Stored snapshot of a finished period
+ * @returns {Promise<Object|null>} null when the period is not kept or not snapshotted yet
+ */
+async function findSnapshot(range, gameType, difficulty) {
+  if (!isSnapshotPeriod(range)) return null;
+
+  return prisma.leaderboardSnapshot.findUnique({
+    where: { period_periodKey_timeZone_gameType_difficulty: snapshotKey(range, gameType, difficulty) },
+  });
+}
+
+/**
+ * Snapshot every kept period that closed and has no snapshot yet
+ * @param {Date} [now]
+ * @returns {Promise<number>} Snapshots written
+ */
+async function snapshotClosedPeriods(now = new Date()) {
+  let written = 0;
+
+  for (const [period, kept] of Object.entries(SNAPSHOT_PERIODS)) {
+    for (let ago = 1; ago <= kept; ago++) {
+      const range = getPreviousPeriodRange(period, DEFAULT_TIME_ZONE, ago, now);
+      if (!isSnapshotPeriod(range, now)) continue;
+
+      const existing = await prisma.leaderboardSnapshot.findMany({
+        where: { period, periodKey: range.key, timeZone: DEFAULT_TIME_ZONE },
+        select: { gameType: true, difficulty: true },
+      });
+      const done = new Set(existing.map((snapshot) => `${snapshot.gameType}:${snapshot.difficulty}`));
+
+      for (const gameType of GAME_TYPE_FILTERS) {
+        for (const difficulty of DIFFICULTY_FILTERS) {
+          if (done.has(`${gameType}:${difficulty}`)) continue;
+          await writeSnapshot(range, gameType, difficulty);
+          written++;
+        }
+      }
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Rebuild the snapshots a late score belongs to, without failing the request
+ * @param {Object[]} scores - GameScore rows that were created, changed or approved
+ */
+async function refreshSnapshotsForScores(scores) {
+  try {
+    const now = new Date();
+    const stale = new Map();
+
+    scores.forEach((score) => {
+      Object.keys(SNAPSHOT_PERIODS).forEach((period) => {
+        const range = getPeriodRange(period, DEFAULT_TIME_ZONE, new Date(score.createdAt));
+        if (!isSnapshotPeriod(range, now)) return;
+
+        [['all', 'all'], [score.gameType, 'all'], ['all', score.difficulty], [score.gameType, score.difficulty]]
+          .forEach(([gameType, difficulty]) => {
+            stale.set(`${period}:${range.key}:${gameType}:${difficulty}`, { range, gameType, difficulty });
+          });
+      });
+    });
+
+    for (const { range, gameType, difficulty } of stale.values()) {
+      // Periods the job hasn't reached yet are ranked when it does
+      const existing = await prisma.leaderboardSnapshot.findUnique({
+        where: { period_periodKey_timeZone_gameType_difficulty: snapshotKey(range, gameType, difficulty) },
+        select: { id: true },
+      });
+      if (existing) await writeSnapshot(range, gameType, difficulty);
+    }
+  } catch (error) {
+    console.error('Refresh leaderboard snapshots failed (non-critical):', error.message);
+  }
+}
+
+/**
+ * Run the snapshot job now and then every JOB_INTERVAL
+ */
+function startSnapshotJob() {
+  if (ticker) return;
+
+  const run = () => snapshotClosedPeriods()
+    .catch((error) => console.error('Leaderboard snapshot job error:', error));
+
+  run();
+  ticker = setInterval(run, JOB_INTERVAL);
+  ticker.unref();
+}
+
+module.exports = {
+  SNAPSHOT_SIZE,
+  SNAPSHOT_PERIODS,
+  findSnapshot,
+  snapshotClosedPeriods,
+  refreshSnapshotsForScores,
+  startSnapshotJob,
+};
@@ -5,8 +5,46 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient} = require('@prisma/client');
+const { triggerAchievementEvent } = require('./achievements-checker');
+const { getBlockedUserIds, isBlockedBetween } = require('./block-helper');
+const { getFollowingIds, canViewAccount, privateAuthorFilter } = require('./follow-helper');
+const { emitToUser } = require('../config/socket-notifications');
 const prisma = new PrismaClient();
 
+/**
+ * Post the user may interact with (null when missing, its author is blocked either way,
+ * or its author is a private account the user doesn't follow)
+ */
+const findVisiblePost = async (postId, userId) => {
+  const post = await prisma.post.findUnique({
+    where: { id: postId },
+    include: { user: { select: { id: true, isPrivate: true } } },
+  });
+
+  if (!post || await isBlockedBetween(userId, post.userId)) return null;
+  if (!await canViewAccount(userId, post.user)) return null;
+  return post;
+};
+
+const FOLLOW_USER_SELECT = {
+  id: true,
+  username: true,
+  avatarUrl: true,
+  isPrivate: true,
+};
+
+// Follow lists: page size
+const DEFAULT_FOLLOW_PAGE = 20;
+const MAX_FOLLOW_PAGE = 100;
+
+/**
+ * limit / offset query params of a follow list
+ */
+const parsePage = (query) => ({
+  take: Math.min(Math.max(parseInt(query.limit) || DEFAULT_FOLLOW_PAGE, 1), MAX_FOLLOW_PAGE),
+  skip: Math.max(parseInt(query.offset) || 0, 0),
+});
+
 // ==================== CREATE POST ====================
 /**
  * POST /api/posts
@@ -47,6 +85,8 @@ router.post('/', async (req, res) => {
       },
     });
 
+    await triggerAchievementEvent(userId, 'post_created', {}, { io: req.app.get('io') });
+
     res.status(201).json(post);
   } catch (error) {
     console.error('Create post error:', error);
@@ -58,12 +98,18 @@ router.post('/', async (req, res) => {
 /**
  * GET /api/posts
  * Get posts feed (all public posts + friends' posts)
- * Query params: limit, offset, userId, category, search (username or content)
+ * Query params: limit, offset, userId, category, search (username or content),
+ * feed ("all" or "following": only users the current user follows, plus own posts)
+ * Private accounts' posts are only shown to their followers
  */
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { limit = 20, offset = 0, userId: filterUserId, category, search } = req.query;
+    const { limit = 20, offset = 0, userId: filterUserId, category, search, feed = 'all' } = req.query;
+
+    if (!['all', 'following'].includes(feed)) {
+      return res.status(400).json({ error: 'feed must be "all" or "following"' });
+    }
 
     // Build where clause
     let where = {};
@@ -84,6 +130,24 @@ router.get('/', async (req, res) => {
       where.category = category;
     }
 
+    const [blockedIds, followingIds] = await Promise.all([
+      getBlockedUserIds(userId),
+      getFollowingIds(userId),
+    ]);
+
+    // Following feed
+    if (feed === 'following') {
+      where = { AND: [where, { userId: { in: [userId, ...followingIds] } }] };
+    }
+
+    // Hide private accounts the user doesn't follow
+    where = { AND: [where, privateAuthorFilter(userId, followingIds)] };
+
+    // Hide posts of blocked users (both ways)
+    if (blockedIds.length > 0) {
+      where = { AND: [where, { userId: { notIn: blockedIds } }] };
+    }
+
     // Search by username or content
     if (search) {
       const searchWhere = {
@@ -156,6 +220,8 @@ router.get('/:postId', async (req, res) => {
     const userId = req.user.id;
     const { postId } = req.params;
 
+    const blockedIds = await getBlockedUserIds(userId);
+
     const post = await prisma.post.findUnique({
       where: { id: postId },
       include: {
@@ -164,9 +230,11 @@ router.get('/:postId', async (req, res) => {
             id: true,
             username: true,
             avatarUrl: true,
+            isPrivate: true,
           },
         },
         comments: {
+          where: { userId: { notIn: blockedIds } },
           include: {
             user: {
               select: {
@@ -187,7 +255,7 @@ router.get('/:postId', async (req, res) => {
       },
     });
 
-    if (!post) {
+    if (!post || blockedIds.includes(post.userId) || !await canViewAccount(userId, post.user)) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
@@ -305,6 +373,9 @@ router.delete('/:postId', async (req, res) => {
       where: { id: postId },
     });
 
+    // The post's likes no longer count toward likes received
+    await triggerAchievementEvent(userId, 'post_deleted', { likeCount: post.likeCount }, { io: req.app.get('io') });
+
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
     console.error('Delete post error:', error);
@@ -322,6 +393,10 @@ router.post('/:postId/like', async (req, res) => {
     const userId = req.user.id;
     const { postId } = req.params;
 
+    if (!await findVisiblePost(postId, userId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
     // Check if already liked
     const existingLike = await prisma.like.findUnique({
       where: {
@@ -339,11 +414,13 @@ router.post('/:postId/like', async (req, res) => {
       });
 
       // Decrement count
-      await prisma.post.update({
+      const post = await prisma.post.update({
         where: { id: postId },
         data: { likeCount: { decrement: 1 } },
       });
 
+      await triggerAchievementEvent(post.userId, 'like_removed', {}, { io: req.app.get('io') });
+
       res.json({ liked: false, message: 'Post unliked' });
     } else {
       // Like
@@ -355,11 +432,14 @@ router.post('/:postId/like', async (req, res) => {
       });
 
       // Increment count
-      await prisma.post.update({
+      const post = await prisma.post.update({
         where: { id: postId },
         data: { likeCount: { increment: 1 } },
       });
 
+      // Likes count toward the post owner's achievements
+      await triggerAchievementEvent(post.userId, 'like_received', {}, { io: req.app.get('io') });
+
       res.json({ liked: true, message: 'Post liked' });
     }
   } catch (error) {
@@ -383,6 +463,10 @@ router.post('/:postId/comments', async (req, res) => {
       return res.status(400).json({ error: 'Comment content is required' });
     }
 
+    if (!await findVisiblePost(postId, userId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
     const comment = await prisma.comment.create({
       data: {
         postId,
@@ -426,6 +510,10 @@ router.post('/:postId/save', async (req, res) => {
     const userId = req.user.id;
     const { postId } = req.params;
 
+    if (!await findVisiblePost(postId, userId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
     const existingSave = await prisma.savedPost.findUnique({
       where: {
         postId_userId: {
@@ -466,8 +554,13 @@ router.get('/saved/list', async (req, res) => {
   try {
     const userId = req.user.id;
 
+    const blockedIds = await getBlockedUserIds(userId);
+
     const savedPosts = await prisma.savedPost.findMany({
-      where: { userId },
+      where: {
+        userId,
+        post: { userId: { notIn: blockedIds } },
+      },
       include: {
         post: {
           include: {
@@ -508,6 +601,8 @@ router.get('/saved/list', async (req, res) => {
 /**
  * POST /api/posts/follow/:targetUserId
  * Toggle follow a user
+ * Following a private account sends a follow request instead; toggling again unfollows
+ * or cancels the request. The target is notified with follow:new or follow:request
  */
 router.post('/follow/:targetUserId', async (req, res) => {
   try {
@@ -518,6 +613,19 @@ router.post('/follow/:targetUserId', async (req, res) => {
       return res.status(400).json({ error: 'Cannot follow yourself' });
     }
 
+    const target = await prisma.user.findUnique({
+      where: { id: targetUserId },
+      select: { id: true, isPrivate: true },
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (await isBlockedBetween(followerId, targetUserId)) {
+      return res.status(403).json({ error: 'Cannot follow this user' });
+    }
+
     const existingFollow = await prisma.follow.findUnique({
       where: {
         followerId_followingId: {
@@ -528,25 +636,219 @@ router.post('/follow/:targetUserId', async (req, res) => {
     });
 
     if (existingFollow) {
-      // Unfollow
+      // Unfollow / cancel the request
       await prisma.follow.delete({
         where: { id: existingFollow.id },
       });
-      res.json({ following: false, message: 'Unfollowed user' });
-    } else {
-      // Follow
-      await prisma.follow.create({
-        data: {
-          followerId,
-          followingId: targetUserId,
-        },
+      return res.json({
+        following: false,
+        requested: false,
+        status: 'none',
+        message: existingFollow.status === 'pending' ? 'Follow request cancelled' : 'Unfollowed user',
       });
-      res.json({ following: true, message: 'Followed user' });
     }
+
+    // Follow
+    const status = target.isPrivate ? 'pending' : 'accepted';
+    const follow = await prisma.follow.create({
+      data: {
+        followerId,
+        followingId: targetUserId,
+        status,
+        acceptedAt: status === 'accepted' ? new Date() : null,
+      },
+    });
+
+    const { id, username, avatarUrl } = req.user;
+    emitToUser(req.app.get('io'), targetUserId, status === 'pending' ? 'follow:request' : 'follow:new', {
+      followId: follow.id,
+      user: { id, username, avatarUrl },
+      createdAt: follow.createdAt,
+    });
+
+    res.json({
+      following: status === 'accepted',
+      requested: status === 'pending',
+      status,
+      message: status === 'pending' ? 'Follow request sent' : 'Followed user',
+    });
   } catch (error) {
     console.error('Follow user error:', error);
     res.status(500).json({ error: 'Failed to follow user' });
   }
 });
 
+// ==================== FOLLOW REQUESTS ====================
+/**
+ * GET /api/posts/follow/requests
+ * Pending follow requests to the current user (private accounts)
+ */
+router.get('/follow/requests', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const requests = await prisma.follow.findMany({
+      where: { followingId: userId, status: 'pending' },
+      include: {
+        follower: { select: FOLLOW_USER_SELECT },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      requests: requests.map((request) => ({
+        id: request.id,
+        user: request.follower,
+        createdAt: request.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({ error: 'Failed to get follow requests' });
+  }
+});
+
+/**
+ * POST /api/posts/follow/requests/:followId/accept
+ * Accept a follow request; the requester is notified with follow:accepted
+ */
+router.post('/follow/requests/:followId/accept', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { followId } = req.params;
+
+    // Guarded update: the request may have been cancelled meanwhile
+    const { count } = await prisma.follow.updateMany({
+      where: { id: followId, followingId: userId, status: 'pending' },
+      data: { status: 'accepted', acceptedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    const follow = await prisma.follow.findUnique({
+      where: { id: followId },
+      include: {
+        follower: { select: FOLLOW_USER_SELECT },
+      },
+    });
+
+    const { id, username, avatarUrl } = req.user;
+    emitToUser(req.app.get('io'), follow.followerId, 'follow:accepted', {
+      followId,
+      user: { id, username, avatarUrl },
+      acceptedAt: follow.acceptedAt,
+    });
+
+    res.json({ message: 'Follow request accepted', follower: follow.follower });
+  } catch (error) {
+    console.error('Accept follow request error:', error);
+    res.status(500).json({ error: 'Failed to accept follow request' });
+  }
+});
+
+/**
+ * POST /api/posts/follow/requests/:followId/reject
+ * Reject a follow request (the requester is not notified and may ask again)
+ */
+router.post('/follow/requests/:followId/reject', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { followId } = req.params;
+
+    const { count } = await prisma.follow.deleteMany({
+      where: { id: followId, followingId: userId, status: 'pending' },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    res.json({ message: 'Follow request rejected' });
+  } catch (error) {
+    console.error('Reject follow request error:', error);
+    res.status(500).json({ error: 'Failed to reject follow request' });
+  }
+});
+
+// ==================== FOLLOWERS / FOLLOWING ====================
+/**
+ * Paginated follow list of a user
+ * A private account's lists are only visible to the account and its followers
+ * @param {'followers' | 'following'} list
+ */
+const sendFollowList = (list) => async (req, res) => {
+  try {
+    const viewerId = req.user.id;
+    const { userId } = req.params;
+    const { take, skip } = parsePage(req.query);
+
+    const [user, blockedIds] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, isPrivate: true },
+      }),
+      getBlockedUserIds(viewerId),
+    ]);
+
+    if (!user || blockedIds.includes(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!await canViewAccount(viewerId, user)) {
+      return res.status(403).json({ error: 'This account is private' });
+    }
+
+    // followers: follows to the user; following: follows from the user
+    const [ownKey, otherKey, relation] = list === 'followers'
+      ? ['followingId', 'followerId', 'follower']
+      : ['followerId', 'followingId', 'following'];
+
+    const where = {
+      [ownKey]: userId,
+      [otherKey]: { notIn: blockedIds },
+      status: 'accepted',
+    };
+
+    const [follows, total] = await Promise.all([
+      prisma.follow.findMany({
+        where,
+        include: {
+          [relation]: { select: FOLLOW_USER_SELECT },
+        },
+        orderBy: { createdAt: 'desc' },
+        take,
+        skip,
+      }),
+      prisma.follow.count({ where }),
+    ]);
+
+    res.json({
+      [list]: follows.map((follow) => ({
+        ...follow[relation],
+        followedAt: follow.acceptedAt || follow.createdAt,
+      })),
+      total,
+      limit: take,
+      offset: skip,
+    });
+  } catch (error) {
+    console.error(`Get ${list} error:`, error);
+    res.status(500).json({ error: `Failed to get ${list}` });
+  }
+};
+
+/**
+ * GET /api/posts/followers/:userId
+ * Users following a user (limit, offset)
+ */
+router.get('/followers/:userId', sendFollowList('followers'));
+
+/**
+ * GET /api/posts/following/:userId
+ * Users a user follows (limit, offset)
+ */
+router.get('/following/:userId', sendFollowList('following'));
+
 module.exports = router;
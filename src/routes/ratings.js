@@ -0,0 +1,123 @@
+/**
+ * Player Ratings
+ * Elo rating per user and competitive game type, updated when a rated match ends
+ * Users without a PlayerRating row are treated as DEFAULT_RATING with no games
+ */
+const { prisma } = require('../config/database');
+const {
+  DEFAULT_RATING,
+  MIN_RATING,
+  K_FACTORS,
+  PROVISIONAL_GAMES,
+  MASTER_RATING,
+} = require('../config/matchmaking');
+
+/**
+ * Expected score (0-1) of a player against an opponent
+ */
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+const kFactor = ({ rating, gamesPlayed }) => {
+  if (gamesPlayed < PROVISIONAL_GAMES) return K_FACTORS.provisional;
+  if (rating >= MASTER_RATING) return K_FACTORS.master;
+  return K_FACTORS.standard;
+};
+
+/**
+ * Rating change of a player after one game
+ * @param {Object} player - { rating, gamesPlayed }
+ * @param {number} opponentRating
+ * @param {number} result - 1 win, 0.5 draw, 0 loss
+ * @returns {number} Whole points, never taking the rating below MIN_RATING
+ */
+function ratingChange(player, opponentRating, result) {
+  const change = Math.round(kFactor(player) * (result - expectedScore(player.rating, opponentRating))) || 0;
+  return Math.max(change, MIN_RATING - player.rating);
+}
+
+const unrated = (userId, gameType) => ({
+  userId,
+  gameType,
+  rating: DEFAULT_RATING,
+  peakRating: DEFAULT_RATING,
+  gamesPlayed: 0,
+  wins: 0,
+  losses: 0,
+  draws: 0,
+  lastPlayedAt: null,
+});
+
+/**
+ * Current rating of a user for a game type
+ */
+async function getRating(userId, gameType) {
+  const row = await prisma.playerRating.findUnique({
+    where: { userId_gameType: { userId, gameType } },
+  });
+  return row || unrated(userId, gameType);
+}
+
+/**
+ * Update both players' ratings after a game
+ * @param {string} gameType
+ * @param {string} playerAId
+ * @param {string} playerBId
+ * @param {number} resultA - Result of player A: 1 win, 0.5 draw, 0 loss
+ * @returns {Promise<Object>} { [userId]: { before, after, change } }
+ */
+async function applyMatchResult(gameType, playerAId, playerBId, resultA) {
+  return prisma.$transaction(async (tx) => {
+    // Create missing rows first so both can be locked; ordered to avoid deadlocks
+    const ids = [playerAId, playerBId].sort();
+    for (const userId of ids) {
+      await tx.playerRating.upsert({
+        where: { userId_gameType: { userId, gameType } },
+        create: { userId, gameType },
+        update: {},
+      });
+    }
+
+    const rows = await tx.$queryRaw`
+      SELECT "userId", "rating", "peakRating", "gamesPlayed" FROM "player_ratings"
+      WHERE "gameType" = ${gameType}::"GameType" AND "userId" IN (${ids[0]}, ${ids[1]})
+      ORDER BY "userId"
+      FOR UPDATE
+    `;
+    const byId = new Map(rows.map((row) => [row.userId, row]));
+
+    const now = new Date();
+    const changes = {};
+    for (const [userId, opponentId, result] of [
+      [playerAId, playerBId, resultA],
+      [playerBId, playerAId, 1 - resultA],
+    ]) {
+      const player = byId.get(userId);
+      const change = ratingChange(player, byId.get(opponentId).rating, result);
+      const after = player.rating + change;
+
+      await tx.playerRating.update({
+        where: { userId_gameType: { userId, gameType } },
+        data: {
+          rating: after,
+          peakRating: Math.max(player.peakRating, after),
+          gamesPlayed: { increment: 1 },
+          wins: { increment: result === 1 ? 1 : 0 },
+          losses: { increment: result === 0 ? 1 : 0 },
+          draws: { increment: result === 0.5 ? 1 : 0 },
+          lastPlayedAt: now,
+        },
+      });
+
+      changes[userId] = { before: player.rating, after, change };
+    }
+
+    return changes;
+  });
+}
+
+module.exports = {
+  expectedScore,
+  ratingChange,
+  getRating,
+  applyMatchResult,
+};
@@ -0,0 +1,131 @@
+/**
+ * Replay Format
+ * Move-by-move record of a game, uploaded with its score
+ *
+ * replay: { moves: [[t, ...fields], ...] }
+ * t is milliseconds since the game started (never decreasing); fields per game type:
+ * - sudoku: [t, row, col, value]  row / col 0-8, value 1-9 (0 clears the cell)
+ * - caro:   [t, x, y]             X moves first, players alternate
+ * - puzzle: [t, tile]             tile moved into the empty slot
+ * - rubik:  [t, turn]             turn in standard notation: "R", "U'", "F2", "Rw", "x"
+ *
+ * Stored gzipped in GameReplay.data; decoded replays keep the same move arrays
+ */
+const zlib = require('zlib');
+const { BOARD_SIZE } = require('./caro-engine');
+
+const REPLAY_VERSION = 1;
+const MAX_REPLAY_MOVES = 10000;
+
+// A replay may run this much longer than the reported timeSpent (rounding, pauses)
+const MAX_DURATION_SKEW = 60 * 1000; // 1 minute
+
+const RUBIK_TURN_PATTERN = /^([UDLRFB]w?|[MESxyz])['2]?$/;
+
+const isIntBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Field names and check of each game type's move fields (without t)
+const MOVE_FORMATS = {
+  sudoku: {
+    fields: ['row', 'col', 'value'],
+    isValid: ([row, col, value]) => isIntBetween(row, 0, 8) && isIntBetween(col, 0, 8) && isIntBetween(value, 0, 9),
+  },
+  caro: {
+    fields: ['x', 'y'],
+    isValid: ([x, y]) => isIntBetween(x, 0, BOARD_SIZE - 1) && isIntBetween(y, 0, BOARD_SIZE - 1),
+  },
+  puzzle: {
+    fields: ['tile'],
+    isValid: ([tile]) => isIntBetween(tile, 0, 999),
+  },
+  rubik: {
+    fields: ['turn'],
+    isValid: ([turn]) => typeof turn === 'string' && RUBIK_TURN_PATTERN.test(turn),
+  },
+};
+
+/**
+ * GameReplay fields for a move list (moves must already be valid)
+ */
+function encodeReplay(gameType, moves) {
+  return {
+    gameType,
+    version: REPLAY_VERSION,
+    moveCount: moves.length,
+    durationMs: moves.length > 0 ? moves[moves.length - 1][0] : 0,
+    data: zlib.gzipSync(JSON.stringify(moves)),
+  };
+}
+
+/**
+ * Validate an uploaded replay
+ * @param {string} gameType
+ * @param {Object} replay - { moves }
+ * @param {number} [timeSpent] - Reported game length in seconds (0 = unknown)
+ * @returns {{ error: string } | { data: Object }} data: GameReplay fields
+ */
+function parseReplay(gameType, replay, timeSpent = 0) {
+  const format = MOVE_FORMATS[gameType];
+  if (!format) {
+    return { error: `Replays are not supported for ${gameType}` };
+  }
+
+  const moves = replay && replay.moves;
+  if (!Array.isArray(moves) || moves.length === 0) {
+    return { error: 'replay.moves must be a non-empty array' };
+  }
+  if (moves.length > MAX_REPLAY_MOVES) {
+    return { error: `replay can have at most ${MAX_REPLAY_MOVES} moves` };
+  }
+
+  let previousTime = 0;
+  for (let i = 0; i < moves.length; i++) {
+    const move = moves[i];
+    const isValid = Array.isArray(move)
+      && move.length === format.fields.length + 1
+      && Number.isInteger(move[0])
+      && move[0] >= previousTime
+      && format.isValid(move.slice(1));
+
+    if (!isValid) {
+      return { error: `Invalid replay move ${i}: expected [t, ${format.fields.join(', ')}] with t not decreasing` };
+    }
+    previousTime = move[0];
+  }
+
+  if (timeSpent > 0 && previousTime > timeSpent * 1000 + MAX_DURATION_SKEW) {
+    return { error: 'replay is longer than timeSpent' };
+  }
+
+  return { data: encodeReplay(gameType, moves) };
+}
+
+/**
+ * Replay of a finished caro match (from the server's move list)
+ */
+function encodeCaroMatchReplay(match) {
+  const startedAt = match.startedAt.getTime();
+  const moves = match.moves.map(({ x, y, at }) => [Math.max(new Date(at).getTime() - startedAt, 0), x, y]);
+  return encodeReplay('caro', moves);
+}
+
+/**
+ * Replay as sent to clients
+ */
+function decodeReplay(replay) {
+  return {
+    gameType: replay.gameType,
+    version: replay.version,
+    fields: ['t', ...MOVE_FORMATS[replay.gameType].fields],
+    moveCount: replay.moveCount,
+    durationMs: replay.durationMs,
+    moves: JSON.parse(zlib.gunzipSync(replay.data).toString()),
+  };
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  parseReplay,
+  encodeCaroMatchReplay,
+  decodeReplay,
+};
@@ -0,0 +1,270 @@
+/**
+ * Score Recorder
+ * Shared by every way a score is submitted (POST /api/scores, sync, daily puzzle, caro matches)
+ * - Parses and validates score payloads, adds anti-cheat review, solution verification
+ *   and normalized score
+ * - Saves a score and applies what an approved game earns: user totals, XP,
+ *   achievement progress and challenge progress
+ */
+const { prisma } = require('../config/database');
+const { validateGameScore, calculateNormalizedScore } = require('../middleware/validation');
+const { triggerAchievementEvent } = require('./achievements-checker');
+const { awardGameXp } = require('./xp-ledger');
+const { trackChallenges } = require('./challenges-tracker');
+const { verifySudokuSolution } = require('./sudoku-verifier');
+
+const VALID_GAME_TYPES = ['rubik', 'sudoku', 'caro', 'puzzle'];
+const VALID_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate a score payload and convert it to GameScore fields
+ * @param {Object} input - Raw score fields from the request body
+ * @returns {{ error: string } | { data: Object }}
+ */
+const parseScoreInput = (input) => {
+  const { gameType, score, attempts, difficulty, timeSpent, gameData } = input || {};
+
+  // Validate required fields
+  if (!gameType || score === undefined || !difficulty) {
+    return { error: 'gameType, score, and difficulty are required' };
+  }
+
+  // Validate gameType enum
+  if (!VALID_GAME_TYPES.includes(gameType)) {
+    return { error: `Invalid gameType. Must be one of: ${VALID_GAME_TYPES.join(', ')}` };
+  }
+
+  // Validate difficulty enum
+  if (!VALID_DIFFICULTIES.includes(difficulty)) {
+    return { error: `Invalid difficulty. Must be one of: ${VALID_DIFFICULTIES.join(', ')}` };
+  }
+
+  const parsedScore = parseInt(score);
+  if (isNaN(parsedScore)) {
+    return { error: 'score must be an integer' };
+  }
+
+  return {
+    data: {
+      gameType,
+      score: parsedScore,
+      attempts: attempts ? parseInt(attempts) : 1,
+      difficulty,
+      timeSpent: timeSpent ? parseInt(timeSpent) : 0,
+      gameData: gameData || null,
+    },
+  };
+};
+
+/**
+ * Run anti-cheat validation on parsed score fields
+ * Suspicious scores are kept but quarantined until a moderator reviews them
+ * @returns {{ status: string, flagReason: string|null }}
+ */
+const reviewScore = (data) => {
+  const check = validateGameScore(data.gameType, data.score, data.difficulty, data.timeSpent);
+  return check.valid
+    ? { status: 'approved', flagReason: null }
+    : { status: 'flagged', flagReason: check.message };
+};
+
+/**
+ * Check the submitted solution for games the server can verify (sudoku)
+ * Sudoku is only verified against a board the server knows (issued or daily); scores
+ * on any other board, or with a wrong solution, are saved but left off ranked
+ * leaderboards. Other games can't be verified and stay ranked
+ * @param {Object} data - Parsed score fields
+ * @param {string|null} [sudokuGivens] - Server-known board the score was played on
+ * @returns {{ isVerified: boolean, isRanked: boolean, verificationError: string|null }}
+ */
+const verifyScore = (data, sudokuGivens = null) => {
+  if (data.gameType !== 'sudoku') {
+    return { isVerified: false, isRanked: true, verificationError: null };
+  }
+
+  if (!sudokuGivens) {
+    return {
+      isVerified: false,
+      isRanked: false,
+      verificationError: 'Only boards issued by the server (gameData.puzzleId) or the daily puzzle can be verified',
+    };
+  }
+
+  const check = verifySudokuSolution(sudokuGivens, data.gameData && data.gameData.solution);
+  return { isVerified: check.verified, isRanked: check.verified, verificationError: check.reason };
+};
+
+/**
+ * Add server-derived fields (normalized score, review status, verification) to parsed score fields
+ * @param {Object} data - Parsed score fields
+ * @param {Object} [options]
+ * @param {string|null} [options.sudokuGivens] - Server-known sudoku board (see verifyScore)
+ */
+const withDerivedFields = (data, { sudokuGivens = null } = {}) => ({
+  ...data,
+  normalizedScore: calculateNormalizedScore(data.gameType, data.score, data.difficulty, data.timeSpent),
+  ...reviewScore(data),
+  ...verifyScore(data, sudokuGivens),
+});
+
+/**
+ * Server-issued sudoku board a score names in gameData.puzzleId
+ * The board must belong to the user and match the score's difficulty
+ * @returns {Promise<{ id: string, givens: string }|null>} null for other games or unknown boards
+ */
+async function findIssuedSudoku(userId, data) {
+  const puzzleId = data.gameData && data.gameData.puzzleId;
+  if (data.gameType !== 'sudoku' || typeof puzzleId !== 'string' || !UUID_PATTERN.test(puzzleId)) return null;
+
+  return prisma.sudokuPuzzle.findFirst({
+    where: { id: puzzleId, userId, difficulty: data.difficulty },
+    select: { id: true, givens: true },
+  });
+}
+
+/**
+ * Claim the issued board of a verified sudoku score: a board verifies one score
+ * A board already used by another score leaves this one unverified and unranked
+ * @param {string} userId
+ * @param {Object} data - From withDerivedFields
+ * @param {Object|null} issuedSudoku - From findIssuedSudoku
+ * @param {Object} [options]
+ * @param {string} [options.scoreId] - Score being replaced (sync), which keeps its own board
+ * @returns {Promise<{ data: Object, puzzleId: string|null }>} puzzleId of the claimed board,
+ *   to connect to the saved score (or release when saving fails)
+ */
+async function claimIssuedSudoku(userId, data, issuedSudoku, { scoreId = null } = {}) {
+  if (!issuedSudoku || !data.isVerified) return { data, puzzleId: null };
+
+  const claimed = await prisma.sudokuPuzzle.updateMany({
+    where: {
+      id: issuedSudoku.id,
+      userId,
+      OR: scoreId ? [{ usedAt: null }, { scoreId }] : [{ usedAt: null }],
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (claimed.count === 0) {
+    return {
+      data: {
+        ...data,
+        isVerified: false,
+        isRanked: false,
+        verificationError: 'This board was already used for another score',
+      },
+      puzzleId: null,
+    };
+  }
+
+  return { data, puzzleId: issuedSudoku.id };
+}
+
+/**
+ * Give back a board claimed for a score that wasn't saved
+ * Boards already connected to a score stay used
+ */
+async function releaseIssuedSudoku(puzzleId) {
+  if (!puzzleId) return;
+
+  await prisma.sudokuPuzzle.updateMany({
+    where: { id: puzzleId, scoreId: null },
+    data: { usedAt: null },
+  });
+}
+
+/**
+ * How much a score counts toward user totals (only approved scores count)
+ */
+const countedTotals = (score) => (
+  score && score.status === 'approved'
+    ? { games: 1, score: score.score }
+    : { games: 0, score: 0 }
+);
+
+/**
+ * XP, achievements and challenges for newly approved scores (user totals already updated)
+ * None of these fail the request
+ * @param {string} userId
+ * @param {Object[]} scores - Approved GameScore rows
+ * @param {Object} [options]
+ * @param {Server} [options.io] - Socket.IO server instance for notifications
+ * @param {boolean} [options.inResponse] - Results are returned to this user in the response
+ * @returns {Promise<{ newlyUnlocked: Object[], xpEarned: number, completedChallenges: Object[] }>}
+ */
+async function rewardApprovedScores(userId, scores, { io, inResponse = false } = {}) {
+  const xpEarned = await awardGameXp(userId, scores, { io });
+
+  // Update achievement counters and unlock any newly achieved badges
+  const result = await triggerAchievementEvent(userId, 'score_saved', { scores }, { io, inResponse });
+
+  const completedChallenges = await trackChallenges(userId, scores, { io });
+
+  return {
+    newlyUnlocked: result ? result.newlyUnlocked : [],
+    xpEarned,
+    completedChallenges,
+  };
+}
+
+/**
+ * Save a new score; approved scores count toward totals and earn their rewards
+ * @param {string} userId
+ * @param {Object} data - From withDerivedFields
+ * @param {Object} [options] - As for rewardApprovedScores, plus:
+ * @param {Object} [options.replay] - GameReplay fields (parseReplay), saved with the score
+ * @param {Object} [options.issuedSudoku] - Issued board the score was verified on (findIssuedSudoku)
+ * @returns {Promise<{ score: Object, newlyUnlocked: Object[], xpEarned: number, completedChallenges: Object[] }>}
+ */
+async function recordScore(userId, data, { replay, issuedSudoku = null, ...options } = {}) {
+  const claim = await claimIssuedSudoku(userId, data, issuedSudoku);
+
+  let gameScore;
+  try {
+    gameScore = await prisma.gameScore.create({
+      data: {
+        ...claim.data,
+        userId,
+        syncedAt: new Date(),
+        replay: replay ? { create: replay } : undefined,
+        sudokuPuzzle: claim.puzzleId ? { connect: { id: claim.puzzleId } } : undefined,
+      },
+    });
+  } catch (error) {
+    await releaseIssuedSudoku(claim.puzzleId);
+    throw error;
+  }
+
+  // Flagged scores stay out of user totals until a moderator approves them
+  if (gameScore.status !== 'approved') {
+    return { score: gameScore, newlyUnlocked: [], xpEarned: 0, completedChallenges: [] };
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      totalGamesPlayed: { increment: 1 },
+      totalScore: { increment: gameScore.score },
+    },
+  });
+
+  return {
+    score: gameScore,
+    ...await rewardApprovedScores(userId, [gameScore], options),
+  };
+}
+
+module.exports = {
+  VALID_GAME_TYPES,
+  VALID_DIFFICULTIES,
+  parseScoreInput,
+  withDerivedFields,
+  findIssuedSudoku,
+  claimIssuedSudoku,
+  releaseIssuedSudoku,
+  countedTotals,
+  rewardApprovedScores,
+  recordScore,
+};
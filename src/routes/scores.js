@@ -1,89 +1,406 @@
 const express = require('express');
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/database');
-const { authenticateToken: authenticate } = require('../middleware/auth');
+const { authenticateToken: authenticate, optionalAuthenticate, requireRole } = require('../middleware/auth');
+const {
+  VALID_PERIODS,
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getPeriodRange,
+  getPreviousPeriodRange,
+  getRecentPeriods,
+  getPeriodFilter,
+  getDayKey,
+  getWeekKey,
+  rankBestScores,
+} = require('./leaderboard-helper');
+const { computeDayKeyStreaks } = require('./stats-helper');
+const { triggerAchievementEvent } = require('./achievements-checker');
+const { awardGameXp } = require('./xp-ledger');
+const { trackChallenges } = require('./challenges-tracker');
+const {
+  VALID_GAME_TYPES,
+  VALID_DIFFICULTIES,
+  parseScoreInput,
+  withDerivedFields,
+  findIssuedSudoku,
+  claimIssuedSudoku,
+  releaseIssuedSudoku,
+  countedTotals,
+  rewardApprovedScores,
+  recordScore,
+} = require('./score-recorder');
+const { RATED_GAME_TYPES } = require('../config/matchmaking');
+const { parseReplay, decodeReplay } = require('./replay-format');
+const { findSnapshot, refreshSnapshotsForScores } = require('./leaderboard-snapshots');
 
 const router = express.Router();
 
+// Offline sync limits
+const MAX_SYNC_BATCH = 100;
+const MAX_SYNC_CHANGES = 500;
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // 5 minutes
+// syncedAt is taken before a write commits: a pull resumed from a finished sync goes
+// back this far so rows committed late by concurrent requests are not skipped
+const SYNC_PULL_OVERLAP = 5 * 60 * 1000; // 5 minutes
+
+// Largest history page (stored snapshots hold the top 100)
+const MAX_HISTORY_LIMIT = 100;
+
+// Trend series limits for /stats
+const MAX_TREND_DAYS = 365;
+const MAX_TREND_WEEKS = 104;
+
+// Largest top list of the score leaderboards
+const MAX_LEADERBOARD_LIMIT = 100;
+
+// Largest page of the moderation queue
+const MAX_REVIEW_LIMIT = 100;
+
+// Entries shown above and below the caller's own rank
+const DEFAULT_NEIGHBOURS = 2;
+const MAX_NEIGHBOURS = 10;
+
+/**
+ * Sync cursors are opaque to the client: base64url of { syncedAt, id, done }
+ * done marks the last page of a pull; the next pull from it overlaps (SYNC_PULL_OVERLAP)
+ */
+const encodeSyncCursor = (score, done) => Buffer
+  .from(JSON.stringify({ t: score.syncedAt.toISOString(), id: score.id, done }))
+  .toString('base64url');
+
+const decodeSyncCursor = (cursor) => {
+  try {
+    const { t, id, done } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const syncedAt = new Date(t);
+    if (isNaN(syncedAt.getTime()) || typeof id !== 'string') return null;
+    return { syncedAt, id, done: done !== false };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * GameScore filter for the rows a pull returns after a cursor
+ * Pages of one pull continue strictly after the cursor; a new pull re-sends the
+ * overlap window, so clients must upsert changes by id
+ */
+const buildSyncPullWhere = (userId, since) => {
+  const where = { userId, syncedAt: { not: null } };
+  if (!since) return where;
+
+  if (since.done) {
+    where.syncedAt = { gte: new Date(since.syncedAt.getTime() - SYNC_PULL_OVERLAP) };
+  } else {
+    where.OR = [
+      { syncedAt: { gt: since.syncedAt } },
+      { syncedAt: since.syncedAt, id: { gt: since.id } },
+    ];
+  }
+  return where;
+};
+
+/**
+ * Apply one locally-recorded score from a sync batch
+ * Idempotent on (userId, clientId); conflicts are resolved by version (higher wins,
+ * server wins on ties with different content)
+ * @returns {Promise<Object>} Per-item sync result
+ */
+const syncScoreItem = async (userId, item, syncedAt) => {
+  const clientId = item && typeof item.clientId === 'string' ? item.clientId.trim() : '';
+  if (!clientId || clientId.length > 64) {
+    return { clientId: item?.clientId ?? null, status: 'rejected', message: 'clientId is required (max 64 characters)' };
+  }
+
+  const parsed = parseScoreInput(item);
+  if (parsed.error) {
+    return { clientId, status: 'rejected', message: parsed.error };
+  }
+
+  const version = item.version !== undefined ? parseInt(item.version) : 1;
+  if (isNaN(version) || version < 1) {
+    return { clientId, status: 'rejected', message: 'version must be a positive integer' };
+  }
+
+  let playedAt = syncedAt;
+  if (item.playedAt) {
+    playedAt = new Date(item.playedAt);
+    if (isNaN(playedAt.getTime()) || playedAt.getTime() > syncedAt.getTime() + MAX_CLOCK_SKEW) {
+      return { clientId, status: 'rejected', message: 'playedAt must be a valid date that is not in the future' };
+    }
+  }
+
+  let replay;
+  if (item.replay !== undefined) {
+    const parsedReplay = parseReplay(parsed.data.gameType, item.replay, parsed.data.timeSpent);
+    if (parsedReplay.error) {
+      return { clientId, status: 'rejected', message: parsedReplay.error };
+    }
+    replay = parsedReplay.data;
+  }
+
+  const existing = await prisma.gameScore.findUnique({
+    where: { userId_clientId: { userId, clientId } },
+  });
+
+  const issuedSudoku = await findIssuedSudoku(userId, parsed.data);
+  const derived = withDerivedFields(parsed.data, { sudokuGivens: issuedSudoku && issuedSudoku.givens });
+
+  if (!existing) {
+    const { data, puzzleId } = await claimIssuedSudoku(userId, derived, issuedSudoku);
+    const totals = countedTotals(data);
+
+    try {
+      const [gameScore] = await prisma.$transaction([
+        prisma.gameScore.create({
+          data: {
+            ...data,
+            userId,
+            clientId,
+            version,
+            syncedAt,
+            createdAt: playedAt,
+            replay: replay ? { create: replay } : undefined,
+            sudokuPuzzle: puzzleId ? { connect: { id: puzzleId } } : undefined,
+          },
+        }),
+        prisma.user.update({
+          where: { id: userId },
+          data: {
+            totalGamesPlayed: { increment: totals.games },
+            totalScore: { increment: totals.score },
+          },
+        }),
+      ]);
+
+      return { clientId, status: 'created', score: gameScore };
+    } catch (error) {
+      await releaseIssuedSudoku(puzzleId);
+
+      // Same clientId pushed concurrently from another request
+      if (error.code === 'P2002') {
+        const current = await prisma.gameScore.findUnique({
+          where: { userId_clientId: { userId, clientId } },
+        });
+        return { clientId, status: 'duplicate', score: current };
+      }
+      throw error;
+    }
+  }
+
+  if (version > existing.version) {
+    // The score may keep the board it already claimed
+    const { data, puzzleId } = await claimIssuedSudoku(userId, derived, issuedSudoku, { scoreId: existing.id });
+
+    // A moderator decision on the old content does not carry over to new content
+    const before = countedTotals(existing);
+    const after = countedTotals(data);
+
+    let gameScore;
+    try {
+      // The replay belongs to the content it was recorded with: replaced, or dropped when not sent
+      [, gameScore] = await prisma.$transaction([
+        prisma.gameReplay.deleteMany({ where: { scoreId: existing.id } }),
+        prisma.gameScore.update({
+          where: { id: existing.id },
+          data: {
+            ...data,
+            reviewedBy: null,
+            reviewedAt: null,
+            version,
+            syncedAt,
+            replay: replay ? { create: replay } : undefined,
+            sudokuPuzzle: puzzleId ? { connect: { id: puzzleId } } : undefined,
+          },
+        }),
+        prisma.user.update({
+          where: { id: userId },
+          data: {
+            totalGamesPlayed: { increment: after.games - before.games },
+            totalScore: { increment: after.score - before.score },
+          },
+        }),
+      ]);
+    } catch (error) {
+      await releaseIssuedSudoku(puzzleId);
+      throw error;
+    }
+
+    return { clientId, status: 'updated', score: gameScore };
+  }
+
+  const isSameContent = version === existing.version
+    && Object.keys(parsed.data).every((key) => (
+      JSON.stringify(parsed.data[key]) === JSON.stringify(existing[key])
+    ));
+
+  if (isSameContent) {
+    return { clientId, status: 'duplicate', score: existing };
+  }
+
+  // Stale or diverged local copy: server version wins, client should overwrite
+  return {
+    clientId,
+    status: 'conflict',
+    message: `Server has version ${existing.version}`,
+    score: existing,
+  };
+};
+
 /**
  * POST /api/scores
  * Save new game score
+ * Optional replay: { moves: [[t, ...fields], ...] } (format in replay-format.js)
  */
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { gameType, score, attempts, difficulty, timeSpent, gameData } = req.body;
-
-    // Validate required fields
-    if (!gameType || score === undefined || !difficulty) {
+    const parsed = parseScoreInput(req.body);
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'gameType, score, and difficulty are required',
+        message: parsed.error,
       });
     }
 
-    // Validate gameType enum
-    const validGameTypes = ['rubik', 'sudoku', 'caro', 'puzzle'];
-    if (!validGameTypes.includes(gameType)) {
+    let replay;
+    if (req.body.replay !== undefined) {
+      const parsedReplay = parseReplay(parsed.data.gameType, req.body.replay, parsed.data.timeSpent);
+      if (parsedReplay.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedReplay.error,
+        });
+      }
+      replay = parsedReplay.data;
+    }
+
+    // Anti-cheat: suspicious scores are saved as flagged instead of being dropped
+    const issuedSudoku = await findIssuedSudoku(req.userId, parsed.data);
+    const data = withDerivedFields(parsed.data, { sudokuGivens: issuedSudoku && issuedSudoku.givens });
+
+    const result = await recordScore(req.userId, data, {
+      io: req.app.get('io'),
+      inResponse: true,
+      replay,
+      issuedSudoku,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: data.status === 'approved'
+        ? 'Score saved successfully'
+        : 'Score saved and flagged for review',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Save score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving score',
+    });
+  }
+});
+
+/**
+ * POST /api/scores/sync
+ * Offline-first batch sync
+ * Pushes locally-recorded scores (deduped by client-generated clientId) and
+ * pulls every score of the user synced after the given cursor (scores already
+ * pulled may be sent again: upsert them by id)
+ * Body: { scores: [{ clientId, gameType, score, difficulty, ..., version, playedAt, replay }], cursor }
+ */
+router.post('/sync', authenticate, async (req, res) => {
+  try {
+    const { scores = [], cursor } = req.body;
+
+    if (!Array.isArray(scores)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid gameType. Must be one of: ${validGameTypes.join(', ')}`,
+        message: 'scores must be an array',
       });
     }
 
-    // Validate difficulty enum
-    const validDifficulties = ['easy', 'medium', 'hard', 'expert'];
-    if (!validDifficulties.includes(difficulty)) {
+    if (scores.length > MAX_SYNC_BATCH) {
       return res.status(400).json({
         success: false,
-        message: `Invalid difficulty. Must be one of: ${validDifficulties.join(', ')}`,
+        message: `Too many scores in one batch (max ${MAX_SYNC_BATCH})`,
       });
     }
 
-    // Create game score
-    const gameScore = await prisma.gameScore.create({
-      data: {
-        userId: req.userId,
-        gameType,
-        score: parseInt(score),
-        attempts: attempts ? parseInt(attempts) : 1,
-        difficulty,
-        timeSpent: timeSpent ? parseInt(timeSpent) : 0,
-        gameData: gameData || null,
-        syncedAt: new Date(),
-      },
-    });
+    let since = null;
+    if (cursor) {
+      since = decodeSyncCursor(cursor);
+      if (!since) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sync cursor',
+        });
+      }
+    }
 
-    // Update user statistics
-    await prisma.user.update({
-      where: { id: req.userId },
-      data: {
-        totalGamesPlayed: { increment: 1 },
-        totalScore: { increment: parseInt(score) },
-      },
-    });
+    // Push: apply items in order so repeated clientIds in one batch stay idempotent
+    const syncedAt = new Date();
+    const results = [];
+    for (const item of scores) {
+      results.push(await syncScoreItem(req.userId, item, syncedAt));
+    }
 
-    // Auto-check achievements after saving score
-    // This will unlock any newly achieved badges
-    try {
-      // Import here to avoid circular dependency
-      const checkAchievements = require('./achievements-checker');
-      await checkAchievements(req.userId);
-    } catch (error) {
-      console.error('Achievement check failed (non-critical):', error.message);
-      // Don't fail the score save if achievement check fails
+    const notify = { io: req.app.get('io'), inResponse: true };
+    const created = results
+      .filter((result) => result.status === 'created' && result.score.status === 'approved')
+      .map((result) => result.score);
+
+    const xpEarned = await awardGameXp(req.userId, created, notify);
+
+    // Edited scores can lower highs and break streaks: recount instead of applying increments
+    let achievementResult = null;
+    if (results.some((result) => result.status === 'updated')) {
+      achievementResult = await triggerAchievementEvent(req.userId, 'score_changed', {}, notify);
+    } else if (created.length > 0) {
+      achievementResult = await triggerAchievementEvent(req.userId, 'score_saved', { scores: created }, notify);
     }
 
-    res.status(201).json({
+    const completedChallenges = await trackChallenges(
+      req.userId,
+      results
+        .filter((result) => ['created', 'updated'].includes(result.status) && result.score.status === 'approved')
+        .map((result) => result.score),
+      notify
+    );
+
+    // Games played offline can land in periods whose leaderboards were already frozen
+    await refreshSnapshotsForScores(results
+      .filter((result) => ['created', 'updated'].includes(result.status))
+      .map((result) => result.score));
+
+    // Pull: everything synced after the cursor, including this batch
+    const changes = await prisma.gameScore.findMany({
+      where: buildSyncPullWhere(req.userId, since),
+      orderBy: [{ syncedAt: 'asc' }, { id: 'asc' }],
+      take: MAX_SYNC_CHANGES + 1,
+    });
+
+    const hasMore = changes.length > MAX_SYNC_CHANGES;
+    if (hasMore) changes.pop();
+
+    res.json({
       success: true,
-      message: 'Score saved successfully',
+      message: `Synced ${results.length} scores`,
       data: {
-        score: gameScore,
+        results,
+        changes,
+        cursor: changes.length > 0 ? encodeSyncCursor(changes[changes.length - 1], !hasMore) : (cursor || null),
+        hasMore,
+        newlyUnlocked: achievementResult ? achievementResult.newlyUnlocked : [],
+        xpEarned,
+        completedChallenges,
       },
     });
   } catch (error) {
-    console.error('Save score error:', error);
+    console.error('Sync scores error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while saving score',
+      message: 'Server error while syncing scores',
     });
   }
 });
@@ -140,68 +457,715 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Parse the period/tz query params shared by the leaderboards
+ * @returns {{ error: string } | { range: Object }}
+ */
+const parsePeriodQuery = ({ period = 'all', tz = DEFAULT_TIME_ZONE }, allowedPeriods = VALID_PERIODS) => {
+  if (!allowedPeriods.includes(period)) {
+    return { error: `Invalid period. Must be one of: ${allowedPeriods.join(', ')}` };
+  }
+
+  if (!isValidTimeZone(tz)) {
+    return { error: 'Invalid tz. Use an IANA time zone such as Asia/Ho_Chi_Minh' };
+  }
+
+  return { range: getPeriodRange(period, tz) };
+};
+
+/**
+ * Validate optional gameType/difficulty leaderboard filters ("all" means no filter)
+ * @returns {string|null} Error message
+ */
+const validateLeaderboardFilters = ({ gameType = 'all', difficulty = 'all' }) => {
+  if (gameType !== 'all' && !VALID_GAME_TYPES.includes(gameType)) {
+    return `Invalid gameType. Must be one of: all, ${VALID_GAME_TYPES.join(', ')}`;
+  }
+
+  if (difficulty !== 'all' && !VALID_DIFFICULTIES.includes(difficulty)) {
+    return `Invalid difficulty. Must be one of: all, ${VALID_DIFFICULTIES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Build the GameScore filter for a ranked leaderboard
+ * Flagged, rejected and unranked (unverified sudoku) scores never rank
+ */
+const buildLeaderboardWhere = ({ gameType, difficulty }, range) => {
+  const where = { status: 'approved', isRanked: true };
+  if (gameType && gameType !== 'all') where.gameType = gameType;
+  if (difficulty && difficulty !== 'all') where.difficulty = difficulty;
+
+  const createdAt = getPeriodFilter(range);
+  if (createdAt) where.createdAt = createdAt;
+
+  return where;
+};
+
+/**
+ * Period info returned next to a leaderboard
+ */
+const describePeriod = (range) => ({
+  type: range.period,
+  key: range.key,
+  timeZone: range.timeZone,
+  start: range.start,
+  end: range.end,
+});
+
+/**
+ * Parse a positive integer query param, clamped to [1, max]
+ */
+const parseBoundedInt = (value, fallback, max) => {
+  const parsed = parseInt(value);
+  if (isNaN(parsed)) return fallback;
+  return Math.min(max, Math.max(1, parsed));
+};
+
+/**
+ * Parse the neighbours query param (entries shown around the caller)
+ */
+const parseNeighbours = (value) => {
+  const neighbours = parseInt(value);
+  if (isNaN(neighbours)) return DEFAULT_NEIGHBOURS;
+  return Math.min(MAX_NEIGHBOURS, Math.max(0, neighbours));
+};
+
+/**
+ * Shape the caller's own position in a ranking (null when they have no score)
+ */
+const describeMe = ({ me, neighbours }) => (me ? { ...me, neighbours } : null);
+
 /**
  * GET /api/scores/leaderboard
- * Get global leaderboard
+ * Get global leaderboard (each user's best score only)
+ * Query params: gameType, difficulty, limit (max 100), period (day | week | month | all), tz (IANA time zone),
+ * neighbours (entries around the caller, when a token is sent)
+ * Raw scores rank one game and difficulty; with gameType or difficulty "all" entries rank by normalizedScore
  */
-router.get('/leaderboard', async (req, res) => {
+router.get('/leaderboard', optionalAuthenticate, async (req, res) => {
   try {
-    const { gameType, difficulty, limit = 10 } = req.query;
+    const { gameType, difficulty } = req.query;
 
-    // Build query filters
-    const where = {};
-    if (gameType && gameType !== 'all') where.gameType = gameType;
-    if (difficulty && difficulty !== 'all') where.difficulty = difficulty;
+    const filterError = validateLeaderboardFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const parsedPeriod = parsePeriodQuery(req.query);
+    if (parsedPeriod.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedPeriod.error,
+      });
+    }
+
+    // Fetch top scores, one entry per user
+    const ranking = await rankBestScores(
+      { gameType, difficulty, range: parsedPeriod.range },
+      {
+        limit: parseBoundedInt(req.query.limit, 10, MAX_LEADERBOARD_LIMIT),
+        userId: req.userId || null,
+        neighbours: parseNeighbours(req.query.neighbours),
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard: ranking.top,
+        me: describeMe(ranking),
+        totalPlayers: ranking.totalPlayers,
+        period: describePeriod(parsedPeriod.range),
+      },
+    });
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leaderboard',
+    });
+  }
+});
+
+/**
+ * IDs of the user's friends (blocked friendships excluded)
+ */
+const getFriendIds = async (userId) => {
+  const friendships = await prisma.friendship.findMany({
+    where: {
+      OR: [{ userId1: userId }, { userId2: userId }],
+      isBlocked: false,
+    },
+    select: { userId1: true, userId2: true },
+  });
+
+  return friendships.map((f) => (f.userId1 === userId ? f.userId2 : f.userId1));
+};
+
+/**
+ * GET /api/scores/leaderboard/friends
+ * Leaderboard of the caller and their friends ("you vs your friends")
+ * Query params: gameType, difficulty, period, tz, limit (max 100)
+ */
+router.get('/leaderboard/friends', authenticate, async (req, res) => {
+  try {
+    const { gameType, difficulty } = req.query;
+
+    const filterError = validateLeaderboardFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const parsedPeriod = parsePeriodQuery(req.query);
+    if (parsedPeriod.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedPeriod.error,
+      });
+    }
+
+    const friendIds = await getFriendIds(req.userId);
+    const userIds = [req.userId, ...friendIds];
+
+    const [ranking, scored] = await Promise.all([
+      rankBestScores(
+        { gameType, difficulty, range: parsedPeriod.range, userIds },
+        { limit: parseBoundedInt(req.query.limit, 100, MAX_LEADERBOARD_LIMIT), userId: req.userId }
+      ),
+      prisma.gameScore.groupBy({
+        by: ['userId'],
+        where: { ...buildLeaderboardWhere({ gameType, difficulty }, parsedPeriod.range), userId: { in: userIds } },
+      }),
+    ]);
+
+    // Friends without a score in this window are listed separately
+    const scoredIds = new Set(scored.map((entry) => entry.userId));
+    const unranked = await prisma.user.findMany({
+      where: { id: { in: userIds.filter((id) => !scoredIds.has(id)) } },
+      select: {
+        id: true,
+        username: true,
+        avatarUrl: true,
+      },
+      orderBy: { username: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard: ranking.top,
+        me: describeMe(ranking),
+        unranked,
+        totalFriends: friendIds.length,
+        period: describePeriod(parsedPeriod.range),
+      },
+    });
+  } catch (error) {
+    console.error('Friends leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching friends leaderboard',
+    });
+  }
+});
+
+/**
+ * GET /api/scores/leaderboard/history
+ * Leaderboard of a finished period ("last week's winners"), from its snapshot when one is kept
+ * Query params: period (day | week | month), ago (1 = most recent finished period),
+ * gameType, difficulty, tz, limit
+ */
+router.get('/leaderboard/history', async (req, res) => {
+  try {
+    const { period = 'week', tz = DEFAULT_TIME_ZONE, gameType = 'all', difficulty = 'all', ago = 1, limit = 10 } = req.query;
+
+    const parsedPeriod = parsePeriodQuery({ period, tz }, ['day', 'week', 'month']);
+    if (parsedPeriod.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedPeriod.error,
+      });
+    }
+
+    const periodsAgo = parseInt(ago);
+    if (isNaN(periodsAgo) || periodsAgo < 1 || periodsAgo > 366) {
+      return res.status(400).json({
+        success: false,
+        message: 'ago must be between 1 and 366',
+      });
+    }
+
+    const filterError = validateLeaderboardFilters({ gameType, difficulty });
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const range = getPreviousPeriodRange(period, tz, periodsAgo);
+    const historyLimit = parseBoundedInt(limit, 10, MAX_HISTORY_LIMIT);
+
+    // Periods outside the stored set (or not snapshotted yet) are ranked on the fly
+    const snapshot = await findSnapshot(range, gameType, difficulty);
+    const leaderboard = snapshot
+      ? snapshot.entries.slice(0, historyLimit)
+      : (await rankBestScores({ gameType, difficulty, range }, { limit: historyLimit })).top;
 
-    // Fetch top scores
-    const leaderboard = await prisma.gameScore.findMany({
+    res.json({
+      success: true,
+      data: {
+        leaderboard,
+        period: describePeriod(range),
+        snapshotAt: snapshot ? snapshot.updatedAt : null,
+      },
+    });
+  } catch (error) {
+    console.error('Leaderboard history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leaderboard history',
+    });
+  }
+});
+
+/**
+ * GET /api/scores/leaderboard/overall
+ * Cross-game leaderboard ranking users by their combined normalized score
+ * (see calculateNormalizedScore for game and difficulty weights)
+ * Query params: limit, period, tz
+ */
+router.get('/leaderboard/overall', async (req, res) => {
+  try {
+    const limit = parseBoundedInt(req.query.limit, 10, MAX_LEADERBOARD_LIMIT);
+
+    const parsedPeriod = parsePeriodQuery(req.query);
+    if (parsedPeriod.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedPeriod.error,
+      });
+    }
+
+    const where = {
+      ...buildLeaderboardWhere({}, parsedPeriod.range),
+      gameType: { in: VALID_GAME_TYPES },
+    };
+
+    const totals = await prisma.gameScore.groupBy({
+      by: ['userId'],
       where,
-      orderBy: { score: 'desc' },
-      take: parseInt(limit),
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            avatarUrl: true,
-          },
+      _sum: { normalizedScore: true },
+      _count: { id: true },
+      orderBy: [
+        { _sum: { normalizedScore: 'desc' } },
+        { userId: 'asc' },
+      ],
+      take: limit,
+    });
+
+    const userIds = totals.map((entry) => entry.userId);
+
+    const [users, perGame] = await Promise.all([
+      prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: {
+          id: true,
+          username: true,
+          avatarUrl: true,
         },
-      },
+      }),
+      prisma.gameScore.groupBy({
+        by: ['userId', 'gameType'],
+        where: { ...where, userId: { in: userIds } },
+        _sum: { normalizedScore: true },
+      }),
+    ]);
+
+    const userMap = new Map(users.map((user) => [user.id, user]));
+
+    // Per-game breakdown so the app can show where the points came from
+    const breakdownMap = new Map();
+    perGame.forEach((entry) => {
+      if (!breakdownMap.has(entry.userId)) breakdownMap.set(entry.userId, {});
+      breakdownMap.get(entry.userId)[entry.gameType] = entry._sum.normalizedScore || 0;
     });
 
+    const leaderboard = totals.map((entry, index) => ({
+      rank: index + 1,
+      user: userMap.get(entry.userId),
+      overallScore: entry._sum.normalizedScore || 0,
+      gamesPlayed: entry._count.id,
+      byGame: breakdownMap.get(entry.userId) || {},
+    }));
+
     res.json({
       success: true,
       data: {
         leaderboard,
+        period: describePeriod(parsedPeriod.range),
       },
     });
   } catch (error) {
-    console.error('Leaderboard error:', error);
+    console.error('Overall leaderboard error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching leaderboard',
+      message: 'Server error while fetching overall leaderboard',
+    });
+  }
+});
+
+/**
+ * GET /api/scores/leaderboard/ratings
+ * Skill rating leaderboard of a competitive game (Elo, from rated matches)
+ * Query params: gameType (default caro), limit
+ */
+router.get('/leaderboard/ratings', optionalAuthenticate, async (req, res) => {
+  try {
+    const { gameType = 'caro' } = req.query;
+    const limit = parseBoundedInt(req.query.limit, 10, MAX_LEADERBOARD_LIMIT);
+
+    if (!RATED_GAME_TYPES.includes(gameType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid gameType. Must be one of: ${RATED_GAME_TYPES.join(', ')}`,
+      });
+    }
+
+    const where = { gameType, gamesPlayed: { gt: 0 } };
+
+    const [ratings, totalPlayers, mine] = await Promise.all([
+      prisma.playerRating.findMany({
+        where,
+        orderBy: [{ rating: 'desc' }, { userId: 'asc' }],
+        take: limit,
+        include: {
+          user: { select: { id: true, username: true, avatarUrl: true } },
+        },
+      }),
+      prisma.playerRating.count({ where }),
+      req.userId
+        ? prisma.playerRating.findFirst({ where: { ...where, userId: req.userId } })
+        : null,
+    ]);
+
+    let me = null;
+    if (mine) {
+      const ahead = await prisma.playerRating.count({
+        where: {
+          ...where,
+          OR: [
+            { rating: { gt: mine.rating } },
+            { rating: mine.rating, userId: { lt: mine.userId } },
+          ],
+        },
+      });
+      me = { rank: ahead + 1, rating: mine.rating, gamesPlayed: mine.gamesPlayed };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        gameType,
+        leaderboard: ratings.map((entry, index) => ({
+          rank: index + 1,
+          user: entry.user,
+          rating: entry.rating,
+          peakRating: entry.peakRating,
+          gamesPlayed: entry.gamesPlayed,
+          wins: entry.wins,
+          losses: entry.losses,
+          draws: entry.draws,
+        })),
+        me,
+        totalPlayers,
+      },
+    });
+  } catch (error) {
+    console.error('Rating leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rating leaderboard',
+    });
+  }
+});
+
+/**
+ * GET /api/scores/:scoreId/replay
+ * Move-by-move replay of a score, to step through on the client
+ * Replays of approved scores are public; others only for their owner and moderators
+ */
+router.get('/:scoreId/replay', optionalAuthenticate, async (req, res) => {
+  try {
+    const gameScore = await prisma.gameScore.findUnique({
+      where: { id: req.params.scoreId },
+      include: {
+        replay: true,
+        user: { select: { id: true, username: true, avatarUrl: true } },
+      },
+    });
+
+    const canView = gameScore && (
+      gameScore.status === 'approved'
+      || gameScore.userId === req.userId
+      || ['ADMIN', 'MODERATOR'].includes(req.user?.role)
+    );
+
+    if (!canView || !gameScore.replay) {
+      return res.status(404).json({
+        success: false,
+        message: gameScore && canView ? 'This score has no replay' : 'Score not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        score: {
+          id: gameScore.id,
+          user: gameScore.user,
+          gameType: gameScore.gameType,
+          difficulty: gameScore.difficulty,
+          score: gameScore.score,
+          timeSpent: gameScore.timeSpent,
+          isVerified: gameScore.isVerified,
+          gameData: gameScore.gameData, // Starting position (e.g. the sudoku puzzle)
+          createdAt: gameScore.createdAt,
+        },
+        replay: decodeReplay(gameScore.replay),
+      },
+    });
+  } catch (error) {
+    console.error('Get replay error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching replay',
     });
   }
 });
 
+/**
+ * Empty chart buckets for the last `count` periods
+ */
+const createTrendBuckets = (period, timeZone, count) => getRecentPeriods(period, timeZone, count)
+  .map((range) => ({
+    key: range.key,
+    start: range.start,
+    end: range.end,
+    games: 0,
+    totalScore: 0,
+    bestScore: 0,
+    avgScore: 0,
+    playTime: 0, // seconds
+  }));
+
+/**
+ * Add scores into chart buckets (scores outside the buckets are ignored)
+ */
+const fillTrendBuckets = (buckets, scores, getKey) => {
+  const bucketMap = new Map(buckets.map((bucket) => [bucket.key, bucket]));
+  const firstStart = buckets[0].start;
+
+  scores.forEach((score) => {
+    if (score.createdAt < firstStart) return;
+    const bucket = bucketMap.get(getKey(score.createdAt));
+    if (!bucket) return;
+
+    bucket.games++;
+    bucket.totalScore += score.score;
+    bucket.bestScore = Math.max(bucket.bestScore, score.score);
+    bucket.playTime += score.timeSpent;
+  });
+
+  buckets.forEach((bucket) => {
+    bucket.avgScore = bucket.games > 0 ? Math.round(bucket.totalScore / bucket.games) : 0;
+  });
+
+  return buckets;
+};
+
+/**
+ * SQL conditions for a user's approved scores, optionally of one game type
+ */
+const statsConditions = (userId, gameType) => {
+  const conditions = [Prisma.sql`s."userId" = ${userId}`, Prisma.sql`s."status" = 'approved'`];
+  if (gameType) conditions.push(Prisma.sql`s."gameType" = ${gameType}::"GameType"`);
+  return Prisma.join(conditions, ' AND ');
+};
+
+/**
+ * Personal-best progression per game and difficulty
+ * Each entry lists every score that beat the previous best, oldest first
+ * (the database keeps only those rows, the history itself is never loaded)
+ */
+const findPersonalBests = async (userId, gameType) => {
+  const rows = await prisma.$queryRaw`
+    SELECT h.* FROM (
+      SELECT s."id", s."gameType", s."difficulty", s."score", s."createdAt",
+        MAX(s."score") OVER (
+          PARTITION BY s."gameType", s."difficulty"
+          ORDER BY s."createdAt", s."id"
+          ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+        ) AS "previousBest"
+      FROM "game_scores" s
+      WHERE ${statsConditions(userId, gameType)}
+    ) h
+    WHERE h."previousBest" IS NULL OR h."score" > h."previousBest"
+    ORDER BY h."gameType", h."difficulty", h."createdAt", h."id"
+  `;
+
+  const bests = new Map();
+  rows.forEach((row) => {
+    const key = `${row.gameType}:${row.difficulty}`;
+    if (!bests.has(key)) {
+      bests.set(key, { gameType: row.gameType, difficulty: row.difficulty, best: null, achievedAt: null, history: [] });
+    }
+
+    const entry = bests.get(key);
+    entry.history.push({
+      scoreId: row.id,
+      score: row.score,
+      previousBest: row.previousBest,
+      achievedAt: row.createdAt,
+    });
+    entry.best = row.score;
+    entry.achievedAt = row.createdAt;
+  });
+
+  return [...bests.values()];
+};
+
+/**
+ * Local days (in the time zone) on which the user played, one row per day
+ */
+const findPlayedDays = async (userId, gameType, timeZone) => {
+  // createdAt is stored as UTC without time zone
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT to_char((s."createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}, 'YYYY-MM-DD') AS "day"
+    FROM "game_scores" s
+    WHERE ${statsConditions(userId, gameType)}
+  `;
+  return rows.map((row) => row.day);
+};
+
 /**
  * GET /api/scores/stats
  * Get user statistics
+ * Query params: gameType, tz (IANA time zone for date buckets), days (daily trend length),
+ * weeks (weekly trend length)
  */
 router.get('/stats', authenticate, async (req, res) => {
   try {
-    const stats = await prisma.gameScore.groupBy({
-      by: ['gameType'],
-      where: { userId: req.userId },
-      _count: { id: true },
-      _max: { score: true },
-      _avg: { score: true, timeSpent: true },
+    const { gameType, tz = DEFAULT_TIME_ZONE } = req.query;
+
+    if (gameType && !VALID_GAME_TYPES.includes(gameType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid gameType. Must be one of: ${VALID_GAME_TYPES.join(', ')}`,
+      });
+    }
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tz. Use an IANA time zone such as Asia/Ho_Chi_Minh',
+      });
+    }
+
+    const days = parseBoundedInt(req.query.days, 30, MAX_TREND_DAYS);
+    const weeks = parseBoundedInt(req.query.weeks, 12, MAX_TREND_WEEKS);
+
+    const where = { userId: req.userId, status: 'approved' };
+    if (gameType) where.gameType = gameType;
+
+    const dailyBuckets = createTrendBuckets('day', tz, days);
+    const weeklyBuckets = createTrendBuckets('week', tz, weeks);
+    const trendStart = new Date(Math.min(dailyBuckets[0].start.getTime(), weeklyBuckets[0].start.getTime()));
+
+    const caroWhere = { userId: req.userId, status: 'approved', gameType: 'caro' };
+    // Same rule as isWinningScore: only results of server-played matches count
+    const caroResultWhere = (result) => ({
+      ...caroWhere,
+      isVerified: true,
+      gameData: { path: ['result'], equals: result },
     });
 
+    const [
+      stats, breakdown, recent, personalBests, playedDays, caroGames, caroWins, caroLosses, caroDraws,
+    ] = await Promise.all([
+      prisma.gameScore.groupBy({
+        by: ['gameType'],
+        where,
+        _count: { id: true },
+        _max: { score: true },
+        _avg: { score: true, timeSpent: true },
+      }),
+      prisma.gameScore.groupBy({
+        by: ['gameType', 'difficulty'],
+        where,
+        _count: { id: true },
+        _max: { score: true },
+        _avg: { score: true, timeSpent: true },
+        _sum: { score: true, timeSpent: true },
+        orderBy: [{ gameType: 'asc' }, { difficulty: 'asc' }],
+      }),
+      // Only the charted window is loaded
+      prisma.gameScore.findMany({
+        where: { ...where, createdAt: { gte: trendStart } },
+        select: {
+          score: true,
+          timeSpent: true,
+          createdAt: true,
+        },
+      }),
+      findPersonalBests(req.userId, gameType),
+      findPlayedDays(req.userId, gameType, tz),
+      prisma.gameScore.count({ where: caroWhere }),
+      prisma.gameScore.count({ where: caroResultWhere('win') }),
+      prisma.gameScore.count({ where: caroResultWhere('loss') }),
+      prisma.gameScore.count({ where: caroResultWhere('draw') }),
+    ]);
+
+    const caroDecided = caroWins + caroLosses + caroDraws;
+
     res.json({
       success: true,
       data: {
         stats,
+        breakdown: breakdown.map((entry) => ({
+          gameType: entry.gameType,
+          difficulty: entry.difficulty,
+          games: entry._count.id,
+          bestScore: entry._max.score,
+          avgScore: entry._avg.score,
+          totalScore: entry._sum.score,
+          avgTimeSpent: entry._avg.timeSpent,
+          totalTimeSpent: entry._sum.timeSpent,
+        })),
+        personalBests,
+        trends: {
+          daily: fillTrendBuckets(dailyBuckets, recent, (date) => getDayKey(date, tz)),
+          weekly: fillTrendBuckets(weeklyBuckets, recent, (date) => getWeekKey(date, tz)),
+        },
+        caro: {
+          games: caroGames,
+          wins: caroWins,
+          losses: caroLosses,
+          draws: caroDraws,
+          unknown: caroGames - caroDecided, // Solo games: their result is not trusted
+          winRate: caroDecided > 0 ? Math.round((caroWins / caroDecided) * 100) : 0,
+        },
+        streaks: computeDayKeyStreaks(playedDays, getDayKey(new Date(), tz)),
+        timeZone: tz,
       },
     });
   } catch (error) {
@@ -213,4 +1177,153 @@ router.get('/stats', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/scores/review
+ * List scores waiting for moderation (MODERATOR/ADMIN only)
+ */
+router.get('/review', authenticate, requireRole(['ADMIN', 'MODERATOR']), async (req, res) => {
+  try {
+    const { status = 'flagged', gameType } = req.query;
+    const limit = parseBoundedInt(req.query.limit, 50, MAX_REVIEW_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const validStatuses = ['flagged', 'rejected', 'approved'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+      });
+    }
+
+    const where = { status };
+    if (gameType) where.gameType = gameType;
+    // Approved scores only show up here once they went through review
+    if (status === 'approved') where.reviewedAt = { not: null };
+
+    const [scores, totalCount] = await Promise.all([
+      prisma.gameScore.findMany({
+        where,
+        orderBy: { createdAt: 'asc' },
+        take: limit,
+        skip: offset,
+        include: {
+          user: {
+            select: {
+              id: true,
+              username: true,
+              avatarUrl: true,
+            },
+          },
+        },
+      }),
+      prisma.gameScore.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        scores,
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching review queue',
+    });
+  }
+});
+
+/**
+ * POST /api/scores/review/:scoreId
+ * Approve or reject a flagged score (MODERATOR/ADMIN only)
+ * Body: { action: 'approve' | 'reject' }
+ */
+router.post('/review/:scoreId', authenticate, requireRole(['ADMIN', 'MODERATOR']), async (req, res) => {
+  try {
+    const { scoreId } = req.params;
+    const { action } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'action must be approve or reject',
+      });
+    }
+
+    const existing = await prisma.gameScore.findUnique({
+      where: { id: scoreId },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Score not found',
+      });
+    }
+
+    if (existing.status !== 'flagged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only flagged scores can be reviewed',
+      });
+    }
+
+    const reviewData = {
+      status: action === 'approve' ? 'approved' : 'rejected',
+      reviewedBy: req.userId,
+      reviewedAt: new Date(),
+    };
+
+    // Guard on status so two moderators cannot approve the same score twice
+    const updated = await prisma.gameScore.updateMany({
+      where: { id: scoreId, status: 'flagged' },
+      data: reviewData,
+    });
+
+    if (updated.count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Score was already reviewed',
+      });
+    }
+
+    if (action === 'approve') {
+      // Approved scores now count toward the owner's totals and achievements
+      await prisma.user.update({
+        where: { id: existing.userId },
+        data: {
+          totalGamesPlayed: { increment: 1 },
+          totalScore: { increment: existing.score },
+        },
+      });
+
+      await rewardApprovedScores(existing.userId, [{ ...existing, ...reviewData }], {
+        io: req.app.get('io'),
+      });
+
+      await refreshSnapshotsForScores([existing]);
+    }
+
+    res.json({
+      success: true,
+      message: action === 'approve' ? 'Score approved' : 'Score rejected',
+      data: {
+        score: { ...existing, ...reviewData },
+      },
+    });
+  } catch (error) {
+    console.error('Review score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing score',
+    });
+  }
+});
+
 module.exports = router;
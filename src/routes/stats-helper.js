@@ -0,0 +1,130 @@
+/**
+ * Stats Helper
+ * Streak and activity calculations over a player's score history
+ */
+const { DEFAULT_TIME_ZONE, getDayKey } = require('./leaderboard-helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Day number (days since epoch) of a "YYYY-MM-DD" key
+ */
+const dayKeyToNumber = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+/**
+ * Current and longest runs of consecutive days in a set of "YYYY-MM-DD" day keys
+ * The current streak stays alive until a full day is missed (playing yesterday counts)
+ * @param {string[]} dayKeys - Days with at least one game (any order, repeats allowed)
+ * @param {string} todayKey - Today's key in the same time zone
+ * @returns {{ current: number, longest: number, lastPlayedDay: string|null }}
+ */
+function computeDayKeyStreaks(dayKeys, todayKey) {
+  const days = [...new Set(dayKeys.map(dayKeyToNumber))].sort((a, b) => a - b);
+
+  if (days.length === 0) {
+    return { current: 0, longest: 0, lastPlayedDay: null };
+  }
+
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < days.length; i++) {
+    run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const lastDay = days[days.length - 1];
+  const current = dayKeyToNumber(todayKey) - lastDay <= 1 ? run : 0;
+
+  return {
+    current,
+    longest,
+    lastPlayedDay: getDayKey(new Date(lastDay * DAY_MS), 'UTC'),
+  };
+}
+
+/**
+ * Current and longest runs of consecutive local days with at least one game
+ * @param {Date[]} dates - When games were played (any order)
+ * @param {string} [timeZone] - IANA time zone deciding where a day starts
+ * @param {Date} [now]
+ * @returns {{ current: number, longest: number, lastPlayedDay: string|null }}
+ */
+function computeDayStreaks(dates, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  return computeDayKeyStreaks(
+    dates.map((date) => getDayKey(date, timeZone)),
+    getDayKey(now, timeZone)
+  );
+}
+
+/**
+ * Whether a game counts as a win
+ * - caro: only server-written multiplayer matches (isVerified) with result "win"
+ * - sudoku: a solution the server verified
+ * - puzzle, rubik: the board / cube was reported solved (gameData.solved)
+ * A score alone never makes a win
+ * @param {Object} score - GameScore (gameType, isVerified, gameData)
+ */
+function isWinningScore(score) {
+  const gameData = score.gameData || {};
+
+  switch (score.gameType) {
+    case 'caro':
+      return Boolean(score.isVerified) && gameData.result === 'win';
+    case 'sudoku':
+      return Boolean(score.isVerified);
+    default:
+      return gameData.solved === true;
+  }
+}
+
+/**
+ * Current and longest runs of consecutive wins
+ * @param {Object[]} scores - GameScore rows (with gameType, isVerified, gameData, createdAt)
+ * @param {string} [gameType] - Only count games of this type
+ * @returns {{ current: number, longest: number }}
+ */
+function computeWinStreaks(scores, gameType) {
+  const games = scores
+    .filter((score) => !gameType || score.gameType === gameType)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  let current = 0;
+  let longest = 0;
+  games.forEach((score) => {
+    current = isWinningScore(score) ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+
+  return { current, longest };
+}
+
+/**
+ * Highest number of games played inside any sliding window of the given length
+ * @param {Date[]} dates - When games were played (any order)
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {number}
+ */
+function computeMaxGamesInWindow(dates, windowMs) {
+  const times = dates.map((date) => date.getTime()).sort((a, b) => a - b);
+
+  let best = 0;
+  let start = 0;
+  for (let end = 0; end < times.length; end++) {
+    while (times[end] - times[start] >= windowMs) start++;
+    best = Math.max(best, end - start + 1);
+  }
+
+  return best;
+}
+
+module.exports = {
+  dayKeyToNumber,
+  computeDayKeyStreaks,
+  computeDayStreaks,
+  isWinningScore,
+  computeWinStreaks,
+  computeMaxGamesInWindow,
+};
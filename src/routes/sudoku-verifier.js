@@ -0,0 +1,246 @@
+/**
+ * Sudoku Verifier
+ * - Generates boards from a seed (the daily board, boards issued by POST /api/sudoku/puzzles)
+ *   with exactly one solution
+ * - Checks a submitted final grid against givens the server knows: every row, column
+ *   and 3x3 box holds 1-9 once, the givens are unchanged and the puzzle has one solution
+ *
+ * Grids are 9x9 arrays, flat arrays of 81 or strings of 81 characters; empty cells are
+ * 0, null, "0" or ".". Generated boards are strings of 81 digits, row by row, 0 = empty
+ */
+
+const SIZE = 9;
+const CELLS = SIZE * SIZE;
+const ALL_DIGITS = 0x3fe; // Bits 1-9
+
+// Empty cells a generated board aims for; removal stops earlier when every further
+// blank would give the board a second solution
+const TARGET_EMPTY_CELLS = {
+  easy: 36,
+  medium: 46,
+  hard: 52,
+  expert: 56,
+};
+
+/**
+ * Normalize a grid to a flat array of 81 numbers (0 = empty)
+ * @returns {number[]|null} null when the grid can't be read
+ */
+function toCells(grid) {
+  let values = grid;
+  if (typeof grid === 'string') values = grid.split('');
+  else if (Array.isArray(grid) && grid.length === SIZE && grid.every(Array.isArray)) values = grid.flat();
+
+  if (!Array.isArray(values) || values.length !== CELLS) return null;
+
+  const cells = values.map((value) => {
+    if (value === null || value === '.' || value === '0' || value === 0) return 0;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= SIZE ? number : NaN;
+  });
+
+  return cells.some(Number.isNaN) ? null : cells;
+}
+
+/**
+ * Cell indexes of every row, column and box
+ */
+const UNITS = (() => {
+  const units = [];
+  for (let i = 0; i < SIZE; i++) {
+    const row = [];
+    const column = [];
+    const box = [];
+    for (let j = 0; j < SIZE; j++) {
+      row.push(i * SIZE + j);
+      column.push(j * SIZE + i);
+      box.push((Math.floor(i / 3) * 3 + Math.floor(j / 3)) * SIZE + (i % 3) * 3 + (j % 3));
+    }
+    units.push({ name: `row ${i + 1}`, cells: row });
+    units.push({ name: `column ${i + 1}`, cells: column });
+    units.push({ name: `box ${i + 1}`, cells: box });
+  }
+  return units;
+})();
+
+const rowOf = (index) => Math.floor(index / SIZE);
+const columnOf = (index) => index % SIZE;
+const boxOf = (index) => Math.floor(rowOf(index) / 3) * 3 + Math.floor(columnOf(index) / 3);
+
+/**
+ * Deterministic random numbers in [0, 1) from a hex seed (mulberry32)
+ */
+function createRandom(seed) {
+  let state = parseInt(String(seed).slice(0, 8), 16) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(values, random) {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Fill the empty cells by backtracking, most constrained cell first
+ * @param {number[]} cells - Changed in place
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Stop after this many solutions
+ * @param {Function} [options.random] - Try digits in random order (first solution is kept)
+ * @returns {number} Solutions found (up to limit); with random, cells holds the first one
+ */
+function solve(cells, { limit = 1, random = null } = {}) {
+  const rows = new Array(SIZE).fill(0);
+  const columns = new Array(SIZE).fill(0);
+  const boxes = new Array(SIZE).fill(0);
+
+  for (let index = 0; index < CELLS; index++) {
+    const value = cells[index];
+    if (!value) continue;
+    const bit = 1 << value;
+    // A given repeated in a unit: no solution
+    if ((rows[rowOf(index)] | columns[columnOf(index)] | boxes[boxOf(index)]) & bit) return 0;
+    rows[rowOf(index)] |= bit;
+    columns[columnOf(index)] |= bit;
+    boxes[boxOf(index)] |= bit;
+  }
+
+  let found = 0;
+
+  const search = () => {
+    let best = -1;
+    let bestCandidates = 0;
+    let bestCount = SIZE + 1;
+    for (let index = 0; index < CELLS; index++) {
+      if (cells[index]) continue;
+      const candidates = ALL_DIGITS & ~(rows[rowOf(index)] | columns[columnOf(index)] | boxes[boxOf(index)]);
+      let count = 0;
+      for (let bits = candidates; bits; bits &= bits - 1) count++;
+      if (count < bestCount) {
+        best = index;
+        bestCandidates = candidates;
+        bestCount = count;
+        if (count <= 1) break;
+      }
+    }
+
+    if (best === -1) {
+      found++;
+      return found >= limit;
+    }
+
+    let digits = [];
+    for (let digit = 1; digit <= SIZE; digit++) {
+      if (bestCandidates & (1 << digit)) digits.push(digit);
+    }
+    if (random) digits = shuffle(digits, random);
+
+    const row = rowOf(best);
+    const column = columnOf(best);
+    const box = boxOf(best);
+    for (const digit of digits) {
+      const bit = 1 << digit;
+      cells[best] = digit;
+      rows[row] |= bit;
+      columns[column] |= bit;
+      boxes[box] |= bit;
+
+      if (search()) return true;
+
+      cells[best] = 0;
+      rows[row] &= ~bit;
+      columns[column] &= ~bit;
+      boxes[box] &= ~bit;
+    }
+    return false;
+  };
+
+  search();
+  return found;
+}
+
+/**
+ * Number of solutions of a puzzle, counting stops at `limit`
+ * @param {number[]} cells - Flat puzzle (0 = empty)
+ */
+function countSolutions(cells, limit = 2) {
+  return solve([...cells], { limit });
+}
+
+/**
+ * Generate a board with exactly one solution; the same seed gives the same board
+ * @param {string} seed - Hex string (e.g. a daily seed)
+ * @param {string} difficulty
+ * @returns {string} 81 digits, row by row, 0 = empty
+ */
+function generateSudoku(seed, difficulty) {
+  const random = createRandom(seed);
+
+  const cells = new Array(CELLS).fill(0);
+  solve(cells, { random });
+
+  const target = TARGET_EMPTY_CELLS[difficulty] || TARGET_EMPTY_CELLS.medium;
+  let empty = 0;
+  for (const index of shuffle([...cells.keys()], random)) {
+    if (empty >= target) break;
+    const value = cells[index];
+    cells[index] = 0;
+    if (countSolutions(cells) === 1) empty++;
+    else cells[index] = value;
+  }
+
+  return cells.join('');
+}
+
+/**
+ * Verify a sudoku solution against givens the server knows
+ * @param {string|number[]} givens - Server-issued or daily board
+ * @param {*} solution - Submitted final grid (gameData.solution)
+ * @returns {{ verified: boolean, reason: string|null }}
+ */
+function verifySudokuSolution(givens, solution) {
+  if (solution === undefined || solution === null) {
+    return { verified: false, reason: 'gameData.solution is required' };
+  }
+
+  const puzzle = toCells(givens);
+  const grid = toCells(solution);
+  if (!puzzle || !grid) {
+    return { verified: false, reason: 'Solution must be 9x9 with values 1-9' };
+  }
+
+  if (grid.includes(0)) {
+    return { verified: false, reason: 'Solution has empty cells' };
+  }
+
+  const changed = puzzle.findIndex((value, index) => value !== 0 && value !== grid[index]);
+  if (changed !== -1) {
+    return { verified: false, reason: `Given at row ${Math.floor(changed / SIZE) + 1}, column ${(changed % SIZE) + 1} was changed` };
+  }
+
+  const invalid = UNITS.find(({ cells }) => new Set(cells.map((index) => grid[index])).size !== SIZE);
+  if (invalid) {
+    return { verified: false, reason: `Duplicate number in ${invalid.name}` };
+  }
+
+  if (countSolutions(puzzle) !== 1) {
+    return { verified: false, reason: 'Puzzle has more than one solution' };
+  }
+
+  return { verified: true, reason: null };
+}
+
+module.exports = {
+  countSolutions,
+  generateSudoku,
+  verifySudokuSolution,
+};
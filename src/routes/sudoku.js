@@ -0,0 +1,58 @@
+/**
+ * Sudoku Routes
+ * Server-issued boards: a sudoku score is only verified (and ranked) when it was played
+ * on a board the server knows, named by gameData.puzzleId, or on the daily board
+ */
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { prisma } = require('../config/database');
+const { VALID_DIFFICULTIES } = require('./score-recorder');
+const { generateSudoku } = require('./sudoku-verifier');
+
+// ==================== NEW BOARD ====================
+/**
+ * POST /api/sudoku/puzzles
+ * Issue a new board with exactly one solution
+ * Body: { difficulty }
+ */
+router.post('/puzzles', async (req, res) => {
+  try {
+    const { difficulty } = req.body;
+
+    if (!VALID_DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid difficulty. Must be one of: ${VALID_DIFFICULTIES.join(', ')}`,
+      });
+    }
+
+    const puzzle = await prisma.sudokuPuzzle.create({
+      data: {
+        userId: req.userId,
+        difficulty,
+        givens: generateSudoku(crypto.randomBytes(16).toString('hex'), difficulty),
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        puzzle: {
+          id: puzzle.id,
+          difficulty: puzzle.difficulty,
+          board: puzzle.givens,
+          createdAt: puzzle.createdAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Issue sudoku puzzle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating sudoku puzzle',
+    });
+  }
+});
+
+module.exports = router;
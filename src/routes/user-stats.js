@@ -0,0 +1,518 @@
+/**
+ * User Stats
+ * Stored counters the achievements engine reads (UserStats model)
+ * - Updated incrementally from events instead of re-reading the user's history
+ * - Scores older than the last one (offline sync, review approval) only recount the
+ *   streak runs and windows around them; a newly tracked window is counted on its own
+ * - Rebuilt from history when missing or when a score was edited
+ */
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { DEFAULT_TIME_ZONE, getDayKey } = require('./leaderboard-helper');
+const {
+  dayKeyToNumber,
+  computeDayStreaks,
+  isWinningScore,
+  computeWinStreaks,
+  computeMaxGamesInWindow,
+} = require('./stats-helper');
+const { buildUserStats } = require('./achievements-engine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prisma update applied by each plain counter event
+const COUNTER_UPDATES = {
+  friend_added: () => ({ friendsCount: { increment: 1 } }),
+  friend_removed: () => ({ friendsCount: { decrement: 1 } }),
+  post_created: () => ({ postsCount: { increment: 1 } }),
+  post_deleted: (payload) => ({
+    postsCount: { decrement: 1 },
+    likesReceived: { decrement: payload.likeCount || 0 },
+  }),
+  like_received: () => ({ likesReceived: { increment: 1 } }),
+  like_removed: () => ({ likesReceived: { decrement: 1 } }),
+};
+
+const withUserTotals = {
+  user: { select: { totalGamesPlayed: true, totalScore: true } },
+};
+
+/**
+ * Shape a UserStats row (with user totals) the way the achievements engine reads stats
+ */
+function toEngineStats(row) {
+  return {
+    total_games: row.user.totalGamesPlayed,
+    total_score: row.user.totalScore,
+    friends_count: row.friendsCount,
+    posts_count: row.postsCount,
+    total_likes_received: row.likesReceived,
+    gameHighScores: row.gameHighScores,
+    difficultyCounts: row.difficultyCounts,
+    winStreaks: Object.fromEntries(
+      Object.entries(row.winStreaks).map(([key, streak]) => [key, streak.longest])
+    ),
+    longestDayStreak: row.dayStreakLongest,
+    maxGamesInWindow: row.maxGamesInWindow,
+  };
+}
+
+/**
+ * Keep only the games inside the longest tracked window ending at `lastAt`
+ */
+function trimRecentGames(games, lastAt, windowSpecs) {
+  if (!lastAt || windowSpecs.length === 0) return [];
+  const since = lastAt.getTime() - Math.max(...windowSpecs.map((spec) => spec.windowMs));
+  return games.filter((game) => new Date(game.at).getTime() > since);
+}
+
+/**
+ * Recount everything from the database and store it
+ * @param {string} userId
+ * @param {Object[]} windowSpecs - From collectWindowSpecs
+ * @returns {Promise<Object|null>} Engine stats, null when the user doesn't exist
+ */
+async function rebuildUserStats(userId, windowSpecs = []) {
+  const stats = await buildUserStats(userId, { includeHistory: true });
+  if (!stats) return null;
+
+  const { scores } = stats;
+  const lastScoreAt = scores.length > 0 ? scores[scores.length - 1].createdAt : null;
+
+  const winStreaks = { all: computeWinStreaks(scores) };
+  new Set(scores.map((score) => score.gameType)).forEach((gameType) => {
+    winStreaks[gameType] = computeWinStreaks(scores, gameType);
+  });
+
+  const days = computeDayStreaks(scores.map((score) => score.createdAt));
+
+  const maxGamesInWindow = Object.fromEntries(windowSpecs.map((spec) => [
+    spec.key,
+    computeMaxGamesInWindow(
+      scores
+        .filter((score) => !spec.gameType || score.gameType === spec.gameType)
+        .map((score) => score.createdAt),
+      spec.windowMs
+    ),
+  ]));
+
+  const data = {
+    friendsCount: stats.friends_count,
+    postsCount: stats.posts_count,
+    likesReceived: stats.total_likes_received,
+    gameHighScores: stats.gameHighScores,
+    difficultyCounts: stats.difficultyCounts,
+    winStreaks,
+    dayStreakCurrent: days.current,
+    dayStreakLongest: days.longest,
+    lastPlayedDay: days.lastPlayedDay,
+    recentGames: trimRecentGames(
+      scores.map((score) => ({ gameType: score.gameType, at: score.createdAt.toISOString() })),
+      lastScoreAt,
+      windowSpecs
+    ),
+    maxGamesInWindow,
+    lastScoreAt,
+  };
+
+  const row = await prisma.userStats.upsert({
+    where: { userId },
+    create: { userId, ...data },
+    update: data,
+    include: withUserTotals,
+  });
+
+  return toEngineStats(row);
+}
+
+/**
+ * SQL conditions for a user's approved scores
+ * @param {Object} [options]
+ * @param {string} [options.gameType]
+ * @param {string[]} [options.excludeIds] - Scores left out (e.g. ones being applied right now)
+ */
+function approvedConditions(userId, { gameType, excludeIds = [] } = {}) {
+  const conditions = [Prisma.sql`s."userId" = ${userId}`, Prisma.sql`s."status" = 'approved'`];
+  if (gameType) conditions.push(Prisma.sql`s."gameType" = ${gameType}::"GameType"`);
+  if (excludeIds.length > 0) conditions.push(Prisma.sql`s."id" NOT IN (${Prisma.join(excludeIds)})`);
+  return Prisma.join(conditions, ' AND ');
+}
+
+/**
+ * Highest number of games inside any window of a spec over the whole history,
+ * counted by the database
+ * @returns {Promise<number>}
+ */
+async function countMaxGamesInWindow(db, userId, spec, excludeIds) {
+  // Window (t - windowMs, t], createdAt has millisecond precision
+  const preceding = Prisma.raw(`INTERVAL '${Math.max(Math.floor(spec.windowMs) - 1, 0)} milliseconds'`);
+  const rows = await db.$queryRaw`
+    SELECT COALESCE(MAX(w."count"), 0)::int AS "max" FROM (
+      SELECT COUNT(*) OVER (ORDER BY s."createdAt" RANGE BETWEEN ${preceding} PRECEDING AND CURRENT ROW) AS "count"
+      FROM "game_scores" s
+      WHERE ${approvedConditions(userId, { gameType: spec.gameType, excludeIds })}
+    ) w
+  `;
+  return rows[0].max;
+}
+
+/**
+ * Specs of the windows a row already counts, from their keys ("24h", "24h:sudoku")
+ */
+function trackedWindowSpecs(row) {
+  return Object.keys(row.maxGamesInWindow).map((key) => {
+    const [hours, gameType] = key.split(':');
+    return { key, windowMs: parseFloat(hours) * 60 * 60 * 1000, gameType };
+  });
+}
+
+/**
+ * Count windows the row doesn't track yet, and reload recentGames for the longest window
+ * @param {Object} db - Prisma client or transaction
+ * @param {Object} row - UserStats row
+ * @param {Object[]} windowSpecs - From collectWindowSpecs
+ * @param {string[]} [excludeIds] - Scores about to be applied incrementally
+ * @returns {Promise<Object|null>} Update data, null when every window is tracked
+ */
+async function countMissingWindows(db, row, windowSpecs, excludeIds = []) {
+  const missing = windowSpecs.filter((spec) => row.maxGamesInWindow[spec.key] === undefined);
+  if (missing.length === 0) return null;
+
+  const maxGamesInWindow = { ...row.maxGamesInWindow };
+  for (const spec of missing) {
+    maxGamesInWindow[spec.key] = await countMaxGamesInWindow(db, row.userId, spec, excludeIds);
+  }
+
+  // Windows tracked before stay counted: recentGames covers the longest of all of them
+  let recentGames = [];
+  if (row.lastScoreAt) {
+    const longest = Math.max(...[...windowSpecs, ...trackedWindowSpecs(row)].map((spec) => spec.windowMs));
+    const since = new Date(row.lastScoreAt.getTime() - longest);
+    const games = await db.gameScore.findMany({
+      where: {
+        userId: row.userId,
+        status: 'approved',
+        createdAt: { gt: since, lte: row.lastScoreAt },
+        id: { notIn: excludeIds },
+      },
+      select: { gameType: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    });
+    recentGames = games.map((game) => ({ gameType: game.gameType, at: game.createdAt.toISOString() }));
+  }
+
+  return { maxGamesInWindow, recentGames };
+}
+
+/**
+ * High scores and difficulty counts with new scores added (order doesn't matter)
+ */
+function addScoreTotals(row, scores) {
+  const gameHighScores = { ...row.gameHighScores };
+  const difficultyCounts = { ...row.difficultyCounts };
+
+  scores.forEach((score) => {
+    gameHighScores[score.gameType] = Math.max(gameHighScores[score.gameType] || 0, score.score);
+    difficultyCounts[score.difficulty] = (difficultyCounts[score.difficulty] || 0) + 1;
+  });
+
+  return { gameHighScores, difficultyCounts };
+}
+
+/**
+ * Apply newly approved scores played after the row's last score
+ * @returns {Object} Update data
+ */
+function applyScores(row, scores, windowSpecs) {
+  const sorted = [...scores].sort((a, b) => a.createdAt - b.createdAt);
+  if (sorted.length === 0) return {};
+
+  const { gameHighScores, difficultyCounts } = addScoreTotals(row, sorted);
+  const winStreaks = { ...row.winStreaks };
+  const maxGamesInWindow = { ...row.maxGamesInWindow };
+  const recentGames = [...row.recentGames];
+  let { dayStreakCurrent, dayStreakLongest, lastPlayedDay } = row;
+
+  sorted.forEach((score) => {
+    const won = isWinningScore(score);
+    ['all', score.gameType].forEach((key) => {
+      const streak = winStreaks[key] || { current: 0, longest: 0 };
+      const current = won ? streak.current + 1 : 0;
+      winStreaks[key] = { current, longest: Math.max(streak.longest, current) };
+    });
+
+    const day = getDayKey(score.createdAt, DEFAULT_TIME_ZONE);
+    if (day !== lastPlayedDay) {
+      const isNextDay = lastPlayedDay && dayKeyToNumber(day) - dayKeyToNumber(lastPlayedDay) === 1;
+      dayStreakCurrent = isNextDay ? dayStreakCurrent + 1 : 1;
+      dayStreakLongest = Math.max(dayStreakLongest, dayStreakCurrent);
+      lastPlayedDay = day;
+    }
+
+    recentGames.push({ gameType: score.gameType, at: score.createdAt.toISOString() });
+    windowSpecs.forEach((spec) => {
+      const since = score.createdAt.getTime() - spec.windowMs;
+      const count = recentGames.filter((game) =>
+        (!spec.gameType || game.gameType === spec.gameType) && new Date(game.at).getTime() > since
+      ).length;
+      maxGamesInWindow[spec.key] = Math.max(maxGamesInWindow[spec.key] || 0, count);
+    });
+  });
+
+  const lastScoreAt = sorted[sorted.length - 1].createdAt;
+
+  return {
+    gameHighScores,
+    difficultyCounts,
+    winStreaks,
+    dayStreakCurrent,
+    dayStreakLongest,
+    lastPlayedDay,
+    recentGames: trimRecentGames(recentGames, lastScoreAt, windowSpecs),
+    maxGamesInWindow,
+    lastScoreAt,
+  };
+}
+
+/**
+ * Recount a win streak key around late scores
+ * Runs are never longer than the stored longest, so the stored-longest + 1 games on
+ * each side of the late scores always reach a non-win (or the end of the history)
+ * @returns {Promise<{ current: number, longest: number }|null>} null when a late
+ *   non-win may have split the longest run (only a full recount can tell)
+ */
+async function recountWinStreak(db, userId, streak, gameType, from, to, lateIds) {
+  const where = { userId, status: 'approved' };
+  if (gameType) where.gameType = gameType;
+  const select = { id: true, gameType: true, isVerified: true, gameData: true, createdAt: true };
+  const edge = streak.longest + 1;
+
+  const [before, middle, after] = await Promise.all([
+    db.gameScore.findMany({
+      where: { ...where, createdAt: { lt: from } },
+      select,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: edge,
+    }),
+    db.gameScore.findMany({
+      where: { ...where, createdAt: { gte: from, lte: to } },
+      select,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    }),
+    db.gameScore.findMany({
+      where: { ...where, createdAt: { gt: to } },
+      select,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: edge,
+    }),
+  ]);
+
+  const games = [...before.reverse(), ...middle, ...after];
+  const longestRun = (list) => computeWinStreaks(list).longest;
+
+  const longest = longestRun(games);
+  const previousLongest = longestRun(games.filter((game) => !lateIds.has(game.id)));
+  if (previousLongest === streak.longest && longest < streak.longest) return null;
+
+  // The trailing run only changes when the loaded games reach the end of the history
+  const current = after.length < edge ? computeWinStreaks(games).current : streak.current;
+
+  return { current, longest: Math.max(streak.longest, longest) };
+}
+
+/**
+ * Recount the day streak around late scores
+ * Added days only join runs; a run is never longer than the stored longest, so
+ * stored-longest + 1 days on each side always reach a day without games
+ */
+async function recountDayStreak(db, row, from, to) {
+  const margin = (row.dayStreakLongest + 2) * DAY_MS;
+
+  // createdAt is stored as UTC without time zone
+  const rows = await db.$queryRaw`
+    SELECT DISTINCT to_char((s."createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${DEFAULT_TIME_ZONE}, 'YYYY-MM-DD') AS "day"
+    FROM "game_scores" s
+    WHERE ${approvedConditions(row.userId)}
+      AND s."createdAt" >= ${new Date(from.getTime() - margin).toISOString()}::timestamp(3)
+      AND s."createdAt" <= ${new Date(to.getTime() + margin).toISOString()}::timestamp(3)
+  `;
+
+  const days = rows.map((r) => dayKeyToNumber(r.day)).sort((a, b) => a - b);
+  const lateFrom = dayKeyToNumber(getDayKey(from, DEFAULT_TIME_ZONE));
+  const lateTo = dayKeyToNumber(getDayKey(to, DEFAULT_TIME_ZONE));
+  const lastPlayedDay = row.lastPlayedDay && row.lastPlayedDay > getDayKey(to, DEFAULT_TIME_ZONE)
+    ? row.lastPlayedDay
+    : getDayKey(to, DEFAULT_TIME_ZONE);
+  const last = dayKeyToNumber(lastPlayedDay);
+
+  let dayStreakLongest = row.dayStreakLongest;
+  let dayStreakCurrent = row.dayStreakCurrent;
+  let runStart = null;
+  days.forEach((day, i) => {
+    if (i === 0 || day !== days[i - 1] + 1) runStart = day;
+    const touchesLate = runStart <= lateTo && day >= lateFrom;
+    if (touchesLate) dayStreakLongest = Math.max(dayStreakLongest, day - runStart + 1);
+    if (day === last && touchesLate) dayStreakCurrent = day - runStart + 1;
+  });
+
+  return { dayStreakCurrent, dayStreakLongest, lastPlayedDay };
+}
+
+/**
+ * Apply newly approved scores when some were played before the row's last score
+ * (offline sync, review approval): only the runs and windows around them are recounted
+ * @returns {Promise<Object|null>} Update data, null when the row has to be rebuilt instead
+ */
+async function applyLateScores(db, row, scores, windowSpecs) {
+  const sorted = [...scores].sort((a, b) => a.createdAt - b.createdAt);
+  const from = sorted[0].createdAt;
+  const to = sorted[sorted.length - 1].createdAt;
+  const lateIds = new Set(sorted.map((score) => score.id));
+
+  const winStreaks = { ...row.winStreaks };
+  for (const key of ['all', ...new Set(sorted.map((score) => score.gameType))]) {
+    const streak = await recountWinStreak(
+      db,
+      row.userId,
+      winStreaks[key] || { current: 0, longest: 0 },
+      key === 'all' ? undefined : key,
+      from,
+      to,
+      lateIds
+    );
+    if (!streak) return null;
+    winStreaks[key] = streak;
+  }
+
+  // Adding games never lowers a window's best count: recount the windows touching them
+  const maxGamesInWindow = { ...row.maxGamesInWindow };
+  for (const spec of windowSpecs) {
+    const games = await db.gameScore.findMany({
+      where: {
+        userId: row.userId,
+        status: 'approved',
+        ...(spec.gameType && { gameType: spec.gameType }),
+        createdAt: { gt: new Date(from.getTime() - spec.windowMs), lt: new Date(to.getTime() + spec.windowMs) },
+      },
+      select: { createdAt: true },
+    });
+    maxGamesInWindow[spec.key] = Math.max(
+      maxGamesInWindow[spec.key] || 0,
+      computeMaxGamesInWindow(games.map((game) => game.createdAt), spec.windowMs)
+    );
+  }
+
+  const lastScoreAt = row.lastScoreAt && row.lastScoreAt > to ? row.lastScoreAt : to;
+  const recentGames = [
+    ...row.recentGames,
+    ...sorted.map((score) => ({ gameType: score.gameType, at: score.createdAt.toISOString() })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    ...addScoreTotals(row, sorted),
+    winStreaks,
+    ...await recountDayStreak(db, row, from, to),
+    recentGames: trimRecentGames(recentGames, lastScoreAt, windowSpecs),
+    maxGamesInWindow,
+    lastScoreAt,
+  };
+}
+
+/**
+ * Apply one event to the stored row
+ * @returns {Promise<Object|null>} Updated row, null when there is nothing to update incrementally
+ */
+async function applyEvent(userId, event, payload, windowSpecs) {
+  if (event === 'score_saved') {
+    // Row lock: concurrent score saves read-modify-write the same JSON columns
+    return prisma.$transaction(async (tx) => {
+      const locked = await tx.$queryRaw`
+        SELECT "userId" FROM "user_stats" WHERE "userId" = ${userId} FOR UPDATE
+      `;
+      if (locked.length === 0) return null;
+
+      const scores = payload.scores || [];
+      let row = await tx.userStats.findUnique({ where: { userId } });
+
+      // A window no achievement tracked before is counted without the scores being applied
+      const windows = await countMissingWindows(tx, row, windowSpecs, scores.map((score) => score.id));
+      if (windows) row = { ...row, ...windows };
+
+      // Streaks and windows are extended in play order; older scores recount around themselves
+      const isLate = row.lastScoreAt && scores.some((score) => score.createdAt < row.lastScoreAt);
+      const data = isLate
+        ? await applyLateScores(tx, row, scores, windowSpecs)
+        : { ...windows, ...applyScores(row, scores, windowSpecs) };
+      if (!data) return null;
+
+      return tx.userStats.update({
+        where: { userId },
+        data,
+        include: withUserTotals,
+      });
+    });
+  }
+
+  const getUpdate = COUNTER_UPDATES[event];
+  if (!getUpdate) return null; // score_changed: always rebuilt
+
+  const updated = await prisma.userStats.updateMany({
+    where: { userId },
+    data: getUpdate(payload),
+  });
+  if (updated.count === 0) return null;
+
+  return prisma.userStats.findUnique({
+    where: { userId },
+    include: withUserTotals,
+  });
+}
+
+/**
+ * Update a user's stored stats for an event
+ * The event must be sent after the change is saved: a missing row is rebuilt
+ * from the database, which already includes the change
+ * @param {string} userId
+ * @param {string} event - One of ACHIEVEMENT_EVENTS
+ * @param {Object} payload - { scores } for score_saved, { likeCount } for post_deleted
+ * @param {Object[]} windowSpecs - From collectWindowSpecs
+ * @returns {Promise<Object|null>} Engine stats, null when the user doesn't exist
+ */
+async function updateUserStats(userId, event, payload, windowSpecs) {
+  const row = await applyEvent(userId, event, payload, windowSpecs);
+  if (!row) return rebuildUserStats(userId, windowSpecs);
+  return toEngineStats(row);
+}
+
+/**
+ * Current stored stats, rebuilt when missing
+ * Windows the row doesn't track yet are counted and added (other windows are kept)
+ * @param {string} userId
+ * @param {Object[]} windowSpecs - From collectWindowSpecs
+ * @returns {Promise<Object|null>} Engine stats, null when the user doesn't exist
+ */
+async function getUserStats(userId, windowSpecs = []) {
+  const row = await prisma.userStats.findUnique({
+    where: { userId },
+    include: withUserTotals,
+  });
+
+  if (!row) return rebuildUserStats(userId, windowSpecs);
+
+  const windows = await countMissingWindows(prisma, row, windowSpecs);
+  if (!windows) return toEngineStats(row);
+
+  const updated = await prisma.userStats.update({
+    where: { userId },
+    data: windows,
+    include: withUserTotals,
+  });
+
+  return toEngineStats(updated);
+}
+
+module.exports = {
+  getUserStats,
+  rebuildUserStats,
+  updateUserStats,
+};
@@ -0,0 +1,141 @@
+/**
+ * XP Ledger
+ * Credits XP (achievement unlocks, games played) and keeps User.xp / User.level in step
+ * Every credit is an XpTransaction row; a level-up is a row with levelAfter > levelBefore
+ */
+const { prisma } = require('../config/database');
+const { GAME_PLAYED_XP, getLevelForXp, getLevelInfo } = require('../config/levels');
+const { emitToUser } = require('../config/socket-notifications');
+
+const RECENT_LEVEL_UPS = 5;
+
+/**
+ * Credit XP to a user
+ * @param {string} userId
+ * @param {Object} credit
+ * @param {number} credit.amount - XP to add (nothing happens for 0)
+ * @param {string} credit.reason - XpReason
+ * @param {string} credit.referenceId - What the XP is for; the same reference is never credited twice
+ * @returns {Promise<Object|null>} XpTransaction, null when nothing was credited
+ */
+async function creditXp(userId, { amount, reason, referenceId }) {
+  if (!amount || amount <= 0) return null;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Increment first: the row lock serializes concurrent credits for the user
+      const user = await tx.user.update({
+        where: { id: userId },
+        data: { xp: { increment: amount } },
+        select: { xp: true, level: true },
+      });
+
+      const levelAfter = getLevelForXp(user.xp);
+      if (levelAfter !== user.level) {
+        await tx.user.update({
+          where: { id: userId },
+          data: { level: levelAfter },
+        });
+      }
+
+      return tx.xpTransaction.create({
+        data: {
+          userId,
+          amount,
+          reason,
+          referenceId,
+          balanceAfter: user.xp,
+          levelBefore: user.level,
+          levelAfter,
+        },
+      });
+    });
+  } catch (error) {
+    // Already credited for this reference: the whole transaction was rolled back
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+}
+
+/**
+ * Level-up entry as returned by the API and the level:up socket event
+ */
+const toLevelUp = (entry) => ({
+  level: entry.levelAfter,
+  previousLevel: entry.levelBefore,
+  reason: entry.reason,
+  reachedAt: entry.createdAt,
+});
+
+/**
+ * Emit level:up to the user's sockets for credits that raised their level
+ * Offline users see them in recentLevelUps (GET /api/auth/me)
+ * @param {Server} io - Socket.IO server instance
+ * @param {string} userId
+ * @param {Object[]} entries - XpTransaction rows (nulls are ignored)
+ */
+function notifyLevelUps(io, userId, entries) {
+  entries
+    .filter((entry) => entry && entry.levelAfter > entry.levelBefore)
+    .forEach((entry) => {
+      emitToUser(io, userId, 'level:up', {
+        ...toLevelUp(entry),
+        progress: getLevelInfo(entry.balanceAfter),
+      });
+    });
+}
+
+/**
+ * Credit XP for approved games without failing the request
+ * @param {string} userId
+ * @param {Object[]} scores - Approved GameScore rows
+ * @param {Object} [options]
+ * @param {Server} [options.io] - For level:up notifications
+ * @returns {Promise<number>} XP credited
+ */
+async function awardGameXp(userId, scores, { io } = {}) {
+  try {
+    const entries = [];
+    for (const score of scores) {
+      entries.push(await creditXp(userId, {
+        amount: GAME_PLAYED_XP[score.difficulty] || 0,
+        reason: 'game_played',
+        referenceId: score.id,
+      }));
+    }
+
+    notifyLevelUps(io, userId, entries);
+    return entries.reduce((sum, entry) => sum + (entry ? entry.amount : 0), 0);
+  } catch (error) {
+    console.error('Award game XP failed (non-critical):', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Level info and latest level-ups for a user (for /me and profiles)
+ * @param {Object} user - User with id and xp
+ * @returns {Promise<{ level: Object, recentLevelUps: Object[] }>}
+ */
+async function getLevelSummary(user) {
+  const levelUps = await prisma.xpTransaction.findMany({
+    where: {
+      userId: user.id,
+      levelAfter: { gt: prisma.xpTransaction.fields.levelBefore },
+    },
+    orderBy: { createdAt: 'desc' },
+    take: RECENT_LEVEL_UPS,
+  });
+
+  return {
+    level: getLevelInfo(user.xp),
+    recentLevelUps: levelUps.map(toLevelUp),
+  };
+}
+
+module.exports = {
+  creditXp,
+  notifyLevelUps,
+  awardGameXp,
+  getLevelSummary,
+};
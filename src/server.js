@@ -10,6 +10,9 @@ const messagesRoutes = require('./routes/messages');
 const postsRoutes = require('./routes/posts');
 const uploadRoutes = require('./routes/upload');
 const achievementsRoutes = require('./routes/achievements');
+const challengesRoutes = require('./routes/challenges');
+const dailyPuzzleRoutes = require('./routes/daily-puzzle');
+const sudokuRoutes = require('./routes/sudoku');
 const path = require('path');
 
 const app = express();
@@ -49,6 +52,9 @@ app.get('/', (req, res) => {
       posts: '/api/posts',
       upload: '/api/upload',
       achievements: '/api/achievements',
+      challenges: '/api/challenges',
+      daily: '/api/daily',
+      sudoku: '/api/sudoku',
     },
   });
 });
@@ -62,12 +68,15 @@ app.get('/health', (req, res) => {
 
 app.use('/api/auth', authRoutes);
 app.use('/api/scores', scoresRoutes);
+app.use('/api/daily', dailyPuzzleRoutes);
 
 // Protected routes (require authentication)
 app.use('/api/friends', authenticateToken, friendsRoutes);
 app.use('/api/messages', authenticateToken, messagesRoutes);
 app.use('/api/posts', authenticateToken, postsRoutes);
 app.use('/api/upload', authenticateToken, uploadRoutes);
+app.use('/api/challenges', authenticateToken, challengesRoutes);
+app.use('/api/sudoku', authenticateToken, sudokuRoutes);
 
 // Achievements routes (some require auth, some are public)
 app.use('/api/achievements', achievementsRoutes);
@@ -109,4 +118,8 @@ const io = initializeSocket(httpServer);
 // Make io accessible to routes
 app.set('io', io);
 
+// ==================== BACKGROUND JOBS ====================
+const { startSnapshotJob } = require('./routes/leaderboard-snapshots');
+startSnapshotJob();
+
 console.log('💬 Real-time chat enabled');